@@ -0,0 +1,42 @@
+import cors from "cors";
+import express from "express";
+import adminRoutes from "./routes/admin.js";
+import alertRoutes from "./routes/alerts.js";
+import calibrationRoutes from "./routes/calibration.js";
+import clientRoutes from "./routes/client.js";
+import commandRoutes from "./routes/commands.js";
+import deviceRoutes from "./routes/devices.js";
+import esp32Routes from "./routes/esp32.js";
+import firmwareRoutes from "./routes/firmware.js";
+import groupRoutes from "./routes/groups.js";
+import notificationRoutes from "./routes/notifications.js";
+import ruleRoutes from "./routes/rules.js";
+import scheduleRoutes from "./routes/schedules.js";
+import streamRoutes from "./routes/stream.js";
+
+// Shared Express app used by both the local server (server.js)
+// and the Vercel serverless entry (api/index.js)
+const app = express();
+app.use(express.json());
+app.use(
+  cors({
+    // Pagination headers returned by list endpoints
+    exposedHeaders: ["X-Total-Count", "X-Page", "X-Page-Size"],
+  })
+);
+
+app.use(esp32Routes);
+app.use(clientRoutes);
+app.use(alertRoutes);
+app.use(commandRoutes);
+app.use(deviceRoutes);
+app.use(groupRoutes);
+app.use(calibrationRoutes);
+app.use(adminRoutes);
+app.use(ruleRoutes);
+app.use(scheduleRoutes);
+app.use(firmwareRoutes);
+app.use(notificationRoutes);
+app.use(streamRoutes);
+
+export default app;
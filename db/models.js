@@ -0,0 +1,503 @@
+import mongoose from "mongoose";
+
+const deviceSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, unique: true },
+  name: String,
+  location: String,
+  tags: [String],
+  groupIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "DeviceGroup" }],
+  // From the device's latest status that had them
+  firmwareVersion: String,
+  board: String, // Board type, matched against firmware binaries
+  // Seconds without contact before the device counts as offline; derived
+  // from the sampling interval when not set
+  offlineTimeout: Number,
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Named set of devices, e.g. a room, with where it is
+const deviceGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  description: String,
+  location: {
+    site: String,
+    building: String,
+    floor: String,
+    room: String,
+    latitude: Number,
+    longitude: Number,
+  },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date,
+});
+
+// Computed from temperature and humidity (see services/derived.js):
+// dew point, temperature minus dew point and heat index in °C, absolute
+// humidity in g/m³ and vapour-pressure deficit in kPa
+export const DERIVED_METRICS = [
+  "dewPoint",
+  "dewPointSpread",
+  "heatIndex",
+  "absoluteHumidity",
+  "vpd",
+];
+
+const derivedFields = Object.fromEntries(
+  DERIVED_METRICS.map((metric) => [metric, Number])
+);
+
+// Readings the sensor-health checks flagged (see services/quality.js) are
+// "suspect", with the reasons in qualityFlags
+export const READING_QUALITIES = ["good", "suspect"];
+export const QUALITY_FLAGS = ["nan", "flatline", "spike", "out_of_order"];
+
+const sensorSchema = new mongoose.Schema({
+  deviceId: { type: String, index: true },
+  temperature: Number,
+  humidity: Number,
+  ldr: Number, // Raw ADC count
+  lux: Number, // From the device's calibration curve, if it has one
+  // Values as the device sent them; temperature and humidity above have
+  // the device's calibration applied
+  raw: {
+    temperature: Number,
+    humidity: Number,
+    ldr: Number,
+  },
+  ...derivedFields,
+  quality: { type: String, enum: READING_QUALITIES },
+  qualityFlags: {
+    type: [{ type: String, enum: QUALITY_FLAGS }],
+    default: undefined,
+  },
+  timestamp: { type: Date, default: Date.now },
+  // Set on readings uploaded in a batch, so replayed uploads are skipped
+  dedupKey: { type: String, select: false },
+});
+
+sensorSchema.index({ timestamp: 1 });
+sensorSchema.index({ deviceId: 1, timestamp: -1 });
+sensorSchema.index(
+  { deviceId: 1, dedupKey: 1 },
+  { unique: true, partialFilterExpression: { dedupKey: { $exists: true } } }
+);
+
+export const ALERT_SEVERITIES = ["info", "warning", "critical"];
+export const ALERT_SOURCES = ["device", "rule", "health", "connectivity"];
+export const ALERT_STATES = ["open", "acknowledged", "resolved"];
+
+const alertSchema = new mongoose.Schema({
+  deviceId: { type: String, index: true },
+  message: String,
+  severity: { type: String, enum: ALERT_SEVERITIES, default: "warning" },
+  source: { type: String, enum: ALERT_SOURCES, default: "device" },
+  state: { type: String, enum: ALERT_STATES, default: "open", index: true },
+  acknowledgedBy: String,
+  acknowledgedAt: Date,
+  resolvedBy: String,
+  resolvedAt: Date,
+  // Set on alerts raised by the rules engine
+  ruleId: { type: mongoose.Schema.Types.ObjectId, ref: "Rule" },
+  reading: {
+    temperature: Number,
+    humidity: Number,
+    ldr: Number,
+    ...derivedFields,
+    timestamp: Date,
+  },
+  timestamp: { type: Date, default: Date.now },
+});
+
+const deviceStatusSchema = new mongoose.Schema({
+  deviceId: { type: String, index: true },
+  uptime: Number,
+  totalReadings: Number,
+  samplingInterval: Number,
+  ledState: Boolean,
+  temperatureOffset: Number,
+  humidityOffset: Number,
+  lightThreshold: Number,
+  ipAddress: String,
+  rssi: Number,
+  firmwareVersion: String,
+  board: String,
+  // Progress of a firmware update, see FirmwareUpdate
+  otaStatus: String,
+  otaProgress: Number,
+  otaError: String,
+  // Reported by the serial sketch's STATUS reply
+  tempHumidityEnabled: Boolean,
+  lightEnabled: Boolean,
+  timestamp: { type: Date, default: Date.now },
+});
+
+// Per-device connection tracking and latest values, updated atomically on
+// every ingest or poll so serverless instances agree
+const deviceConnectionSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, unique: true },
+  lastDataReceived: Date,
+  lastStatusUpdate: Date,
+  lastCommandPoll: Date,
+  lastContactAt: { type: Date, index: true }, // Latest of the three above
+  totalDataReceived: { type: Number, default: 0 },
+  totalCommandsSent: { type: Number, default: 0 },
+  // Payloads that failed validation, in total and per kind (reading, ...)
+  totalRejected: { type: Number, default: 0 },
+  rejectedByType: { type: Map, of: Number },
+  lastRejectedAt: Date,
+  isConnected: { type: Boolean, default: false },
+  timeoutMs: Number, // Offline timeout (see updateConnectionTimeout)
+  sessionStart: Date, // Start of the current ConnectivitySession
+  latestSensorData: mongoose.Schema.Types.Mixed,
+  latestDeviceStatus: mongoose.Schema.Types.Mixed,
+});
+
+// A stretch of time a device was online; `end` is its last contact before
+// the watchdog marked it offline (null while it is online)
+const connectivitySessionSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  start: { type: Date, required: true },
+  end: { type: Date, default: null },
+});
+
+connectivitySessionSchema.index({ deviceId: 1, start: 1 });
+
+// Settings the device can be told to change (see services/config.js)
+const configFields = {
+  samplingInterval: Number,
+  ledState: Boolean,
+  temperatureOffset: Number,
+  humidityOffset: Number,
+  lightThreshold: Number,
+  tempHumidityEnabled: Boolean,
+  lightEnabled: Boolean,
+};
+
+// Sensor-health check state per device: how long each metric has held
+// the same value, the run of failed (NaN) reads, and the issues currently
+// alerted on, so each episode raises one alert
+const sensorHealthSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, unique: true },
+  unchanged: mongoose.Schema.Types.Mixed, // { metric: { value, since, count } }
+  nanStreak: { type: Number, default: 0 },
+  issues: [{ type: String, enum: QUALITY_FLAGS }],
+  updatedAt: Date,
+});
+
+// Desired settings per device, and the latest value the device reported
+// for each, so drift can be detected and corrected
+const deviceConfigSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, unique: true },
+  desired: configFields,
+  reported: configFields,
+  reportedAt: Date,
+  updatedAt: Date,
+  updatedBy: String,
+});
+
+// Per-device calibration applied to readings at ingest: calibrated =
+// raw * gain + offset, and lux interpolated from (adc, lux) points sorted
+// by adc
+const linearCalibration = {
+  offset: { type: Number, default: 0 },
+  gain: { type: Number, default: 1 },
+};
+
+const calibrationProfileSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, unique: true },
+  temperature: linearCalibration,
+  humidity: linearCalibration,
+  ldrCurve: [{ adc: Number, lux: Number, _id: false }],
+  updatedAt: Date,
+  updatedBy: String,
+});
+
+// Lifecycle of a queued device command
+export const COMMAND_STATUSES = [
+  "queued",
+  "delivered",
+  "acknowledged",
+  "failed",
+  "expired",
+];
+
+const commandSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  command: { type: String, required: true },
+  status: { type: String, enum: COMMAND_STATUSES, default: "queued" },
+  result: String,
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: Date,
+  deliveredAt: Date,
+  acknowledgedAt: Date,
+  // Set on commands queued by a schedule
+  scheduleId: { type: mongoose.Schema.Types.ObjectId, ref: "Schedule" },
+  // Set on commands sent to a whole group; batchId is shared by the
+  // commands of one send
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: "DeviceGroup" },
+  batchId: { type: mongoose.Schema.Types.ObjectId, index: true },
+});
+
+// FIFO lookup of the next queued command for a device
+commandSchema.index({ deviceId: 1, status: 1, createdAt: 1 });
+
+// Command queued on a cron expression or once at runAt, for one device,
+// every device with a tag or every device in a group. nextRunAt is when it
+// fires next (null once a one-off schedule has run)
+const scheduleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  deviceId: String,
+  tag: String,
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: "DeviceGroup" },
+  command: { type: String, required: true },
+  cron: String, // 5-field cron expression, e.g. "0 22 * * *"
+  runAt: Date,
+  timezone: { type: String, default: "UTC" }, // For cron expressions
+  ttl: Number, // Seconds before an undelivered command expires
+  enabled: { type: Boolean, default: true },
+  nextRunAt: Date,
+  lastRunAt: Date,
+  lastError: String,
+  runCount: { type: Number, default: 0 },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+scheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Firmware binary for one board type; the file itself is in the
+// "firmware" GridFS bucket
+const firmwareSchema = new mongoose.Schema({
+  version: { type: String, required: true },
+  board: { type: String, required: true },
+  fileId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  size: Number,
+  sha256: String,
+  md5: String, // Sent as x-MD5, which the ESP32 HTTPUpdate client checks
+  notes: String,
+  uploadedBy: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+firmwareSchema.index({ board: 1, version: 1 }, { unique: true });
+
+// Assignment of a firmware version to one device or every device with a
+// tag or in a group, reaching `percentage` of them
+export const FIRMWARE_ROLLOUT_STATUSES = ["active", "paused", "rolled_back"];
+
+const firmwareRolloutSchema = new mongoose.Schema({
+  firmwareId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Firmware",
+    required: true,
+  },
+  version: String,
+  board: String,
+  deviceId: String,
+  tag: String,
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: "DeviceGroup" },
+  percentage: { type: Number, default: 100 },
+  status: { type: String, enum: FIRMWARE_ROLLOUT_STATUSES, default: "active" },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date,
+  rolledBackAt: Date,
+});
+
+// One device's update to (or, for a rollback, back from) a rollout's
+// version. Progress comes from the device's status reports
+export const FIRMWARE_UPDATE_STATUSES = [
+  "queued",
+  "downloading",
+  "installing",
+  "succeeded",
+  "failed",
+  "cancelled",
+];
+
+const firmwareUpdateSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  rolloutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "FirmwareRollout",
+    index: true,
+  },
+  firmwareId: { type: mongoose.Schema.Types.ObjectId, ref: "Firmware" },
+  fromVersion: String,
+  toVersion: String,
+  rollback: { type: Boolean, default: false },
+  status: { type: String, enum: FIRMWARE_UPDATE_STATUSES, default: "queued" },
+  progress: { type: Number, default: 0 },
+  error: String,
+  commandId: { type: mongoose.Schema.Types.ObjectId, ref: "Command" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date,
+});
+
+firmwareUpdateSchema.index({ deviceId: 1, createdAt: -1 });
+
+// Per-device API key; only a hash of the secret is stored
+const apiKeySchema = new mongoose.Schema({
+  keyId: { type: String, required: true, unique: true },
+  deviceId: { type: String, required: true, index: true },
+  keyHash: { type: String, required: true, select: false },
+  label: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: Date,
+  revokedAt: Date,
+});
+
+// Threshold rules evaluated against every incoming reading
+export const RULE_METRICS = [
+  "temperature",
+  "humidity",
+  "ldr",
+  ...DERIVED_METRICS,
+];
+export const RULE_OPERATORS = [">", ">=", "<", "<="];
+// Device status fields a rule can compare against instead of a fixed threshold
+export const RULE_THRESHOLD_FIELDS = ["lightThreshold"];
+
+const ruleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  deviceId: String, // Applies to every device when not set
+  metric: { type: String, enum: RULE_METRICS, required: true },
+  operator: { type: String, enum: RULE_OPERATORS, required: true },
+  threshold: Number,
+  thresholdField: { type: String, enum: RULE_THRESHOLD_FIELDS },
+  duration: { type: Number, default: 0 }, // Seconds the condition must hold
+  hysteresis: { type: Number, default: 0 }, // Margin needed to clear
+  cooldown: { type: Number, default: 300 }, // Seconds between alerts
+  severity: { type: String, enum: ALERT_SEVERITIES, default: "warning" },
+  activeFrom: String, // "HH:MM", rule only applies from this time of day
+  activeTo: String, // "HH:MM", rule only applies until this time of day
+  timezone: { type: String, default: "UTC" },
+  enabled: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Per rule and device evaluation state, so serverless instances agree
+const ruleStateSchema = new mongoose.Schema({
+  ruleId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  deviceId: { type: String, required: true },
+  state: {
+    type: String,
+    enum: ["ok", "pending", "firing"],
+    default: "ok",
+  },
+  pendingSince: Date,
+  lastFiredAt: Date,
+});
+
+ruleStateSchema.index({ ruleId: 1, deviceId: 1 }, { unique: true });
+
+// Downsampled readings: one document per device and time bucket, with
+// the reading count and avg/min/max per metric. Used by the rollup tiers
+const metricSummary = { avg: Number, min: Number, max: Number };
+
+const sensorRollupSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  bucket: { type: Date, required: true }, // Start of the bucket (UTC)
+  count: Number,
+  temperature: metricSummary,
+  humidity: metricSummary,
+  ldr: metricSummary,
+  lux: metricSummary,
+  ...Object.fromEntries(
+    DERIVED_METRICS.map((metric) => [metric, metricSummary])
+  ),
+});
+
+sensorRollupSchema.index({ deviceId: 1, bucket: 1 }, { unique: true });
+sensorRollupSchema.index({ bucket: 1 });
+
+// How far each rollup tier has been computed; buckets before
+// computedUntil are complete
+const rollupStateSchema = new mongoose.Schema({
+  tier: { type: String, required: true, unique: true },
+  computedUntil: Date,
+  lastRunAt: Date,
+});
+
+// Outbound notification channels for new alerts
+export const NOTIFICATION_CHANNEL_TYPES = ["webhook", "email", "mqtt"];
+
+const notificationChannelSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  type: { type: String, enum: NOTIFICATION_CHANNEL_TYPES, required: true },
+  config: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // An alert goes to the channel if its severity or its rule is listed
+  // here; with both lists empty the channel receives every alert
+  severities: [{ type: String, enum: ALERT_SEVERITIES }],
+  ruleIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Rule" }],
+  enabled: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One delivery attempt (with retries) of an alert to a channel
+const notificationDeliverySchema = new mongoose.Schema({
+  channelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "NotificationChannel",
+    index: true,
+  },
+  alertId: { type: mongoose.Schema.Types.ObjectId, ref: "Alert", index: true },
+  channelType: String,
+  status: { type: String, enum: ["success", "failed"] },
+  attempts: Number,
+  error: String,
+  test: { type: Boolean, default: false },
+  timestamp: { type: Date, default: Date.now },
+});
+
+export const Device = mongoose.model("Device", deviceSchema);
+export const DeviceGroup = mongoose.model("DeviceGroup", deviceGroupSchema);
+export const SensorData = mongoose.model("SensorData", sensorSchema);
+export const Alert = mongoose.model("Alert", alertSchema);
+export const DeviceStatus = mongoose.model("DeviceStatus", deviceStatusSchema);
+export const DeviceConnection = mongoose.model(
+  "DeviceConnection",
+  deviceConnectionSchema
+);
+export const ConnectivitySession = mongoose.model(
+  "ConnectivitySession",
+  connectivitySessionSchema
+);
+export const DeviceConfig = mongoose.model("DeviceConfig", deviceConfigSchema);
+export const SensorHealth = mongoose.model("SensorHealth", sensorHealthSchema);
+export const CalibrationProfile = mongoose.model(
+  "CalibrationProfile",
+  calibrationProfileSchema
+);
+export const Command = mongoose.model("Command", commandSchema);
+export const Schedule = mongoose.model("Schedule", scheduleSchema);
+export const Firmware = mongoose.model("Firmware", firmwareSchema);
+export const FirmwareRollout = mongoose.model(
+  "FirmwareRollout",
+  firmwareRolloutSchema
+);
+export const FirmwareUpdate = mongoose.model(
+  "FirmwareUpdate",
+  firmwareUpdateSchema
+);
+export const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+export const Rule = mongoose.model("Rule", ruleSchema);
+export const RuleState = mongoose.model("RuleState", ruleStateSchema);
+export const SensorRollup5m = mongoose.model(
+  "SensorRollup5m",
+  sensorRollupSchema
+);
+export const SensorRollupDaily = mongoose.model(
+  "SensorRollupDaily",
+  sensorRollupSchema
+);
+export const RollupState = mongoose.model("RollupState", rollupStateSchema);
+export const NotificationChannel = mongoose.model(
+  "NotificationChannel",
+  notificationChannelSchema
+);
+export const NotificationDelivery = mongoose.model(
+  "NotificationDelivery",
+  notificationDeliverySchema
+);
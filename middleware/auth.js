@@ -0,0 +1,115 @@
+import { safeEqual, verifyApiKey } from "../services/apiKeys.js";
+import { resolveDevice } from "./device.js";
+
+// Set AUTH_DISABLED=true for local development to skip every check below
+const isAuthDisabled = () => process.env.AUTH_DISABLED === "true";
+
+// Read a credential from "Authorization: Bearer <token>" or X-API-Key
+const getRequestToken = (req) => {
+  const authorization = req.get("Authorization");
+  if (authorization && authorization.startsWith("Bearer ")) {
+    return authorization.slice(7).trim();
+  }
+  return req.get("X-API-Key") || null;
+};
+
+// CLIENT_API_TOKENS is a comma-separated list of "name:token" pairs
+// (a bare "token" is treated as user "user")
+const getUserTokens = () =>
+  (process.env.CLIENT_API_TOKENS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      return separator === -1
+        ? { name: "user", token: entry }
+        : {
+            name: entry.slice(0, separator),
+            token: entry.slice(separator + 1),
+          };
+    });
+
+const isAdminToken = (token) =>
+  Boolean(process.env.ADMIN_API_TOKEN) &&
+  safeEqual(token, process.env.ADMIN_API_TOKEN);
+
+// ✅ ESP32-facing endpoints: require a per-device API key and bind the
+// request to that key's device (exposed as req.deviceId)
+export const authenticateDevice = async (req, res, next) => {
+  if (isAuthDisabled()) {
+    return resolveDevice(req, res, next);
+  }
+
+  try {
+    const token = getRequestToken(req);
+    if (!token) {
+      return res.status(401).json({ error: "Device API key required" });
+    }
+
+    const apiKey = await verifyApiKey(token);
+    if (!apiKey) {
+      return res.status(401).json({ error: "Invalid device API key" });
+    }
+
+    // A key only ever speaks for its own device
+    const claimedDeviceId =
+      (req.body && req.body.deviceId) ||
+      req.query.deviceId ||
+      req.get("X-Device-Id");
+    if (claimedDeviceId && claimedDeviceId !== apiKey.deviceId) {
+      return res
+        .status(403)
+        .json({ error: "API key does not belong to this device" });
+    }
+
+    req.deviceId = apiKey.deviceId;
+    next();
+  } catch (err) {
+    console.error("❌ Error authenticating device:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+// ✅ Client-facing control endpoints: require a user token (or the admin
+// token) and expose the caller's name as req.user
+export const requireUser = (req, res, next) => {
+  if (isAuthDisabled()) {
+    req.user = "anonymous";
+    return next();
+  }
+
+  const token = getRequestToken(req);
+  if (!token) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  if (isAdminToken(token)) {
+    req.user = "admin";
+    return next();
+  }
+
+  const user = getUserTokens().find((entry) => safeEqual(entry.token, token));
+  if (!user) {
+    return res.status(401).json({ error: "Invalid token" });
+  }
+
+  req.user = user.name;
+  next();
+};
+
+// ✅ Admin endpoints (API key management): require ADMIN_API_TOKEN
+export const requireAdmin = (req, res, next) => {
+  if (isAuthDisabled()) {
+    req.user = "admin";
+    return next();
+  }
+
+  const token = getRequestToken(req);
+  if (!token || !isAdminToken(token)) {
+    return res.status(401).json({ error: "Admin token required" });
+  }
+
+  req.user = "admin";
+  next();
+};
@@ -0,0 +1,21 @@
+import { DEFAULT_DEVICE_ID, isValidDeviceId } from "../services/devices.js";
+
+// ✅ Resolve which device a request is about and expose it as req.deviceId
+// Looks at the body, then the query string, then the X-Device-Id header
+export const resolveDevice = (req, res, next) => {
+  const deviceId =
+    (req.body && req.body.deviceId) ||
+    req.query.deviceId ||
+    req.get("X-Device-Id") ||
+    DEFAULT_DEVICE_ID;
+
+  if (!isValidDeviceId(deviceId)) {
+    return res.status(400).json({
+      error:
+        "Invalid deviceId. Use 1-64 letters, numbers, dashes or underscores",
+    });
+  }
+
+  req.deviceId = deviceId;
+  next();
+};
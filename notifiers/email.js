@@ -0,0 +1,63 @@
+import nodemailer from "nodemailer";
+
+// SMTP server settings come from the environment:
+// SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST environment variable is not set");
+    }
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || "587"),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+// config: { to: "a@example.com" | ["a@example.com", ...] }
+export const validateConfig = (config) => {
+  const recipients = toList(config.to);
+  if (
+    recipients.length === 0 ||
+    !recipients.every((to) => typeof to === "string" && to.includes("@"))
+  ) {
+    return "email config.to must be an address or a list of addresses";
+  }
+  return null;
+};
+
+export const send = async (config, payload) => {
+  const { alert } = payload;
+  const prefix = payload.test ? "[Enviromoon TEST]" : "[Enviromoon]";
+
+  const lines = [
+    alert.message,
+    "",
+    `Device: ${alert.deviceId}`,
+    `Severity: ${alert.severity}`,
+    `Source: ${alert.source}`,
+    `Time: ${new Date(alert.timestamp).toISOString()}`,
+  ];
+  if (alert.reading) {
+    lines.push(
+      `Reading: temperature ${alert.reading.temperature}°C, humidity ${alert.reading.humidity}%, light ${alert.reading.ldr}`
+    );
+  }
+
+  await getTransporter().sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: toList(config.to).join(", "),
+    subject: `${prefix} ${alert.severity.toUpperCase()}: ${alert.message}`,
+    text: lines.join("\n"),
+  });
+};
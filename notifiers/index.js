@@ -0,0 +1,9 @@
+import * as email from "./email.js";
+import * as mqtt from "./mqtt.js";
+import * as webhook from "./webhook.js";
+
+// Notification channel types; each exports validateConfig(config), which
+// returns an error message or null, and send(config, payload)
+const notifiers = { webhook, email, mqtt };
+
+export default notifiers;
@@ -0,0 +1,47 @@
+import mqtt from "mqtt";
+
+const DEFAULT_TOPIC = "enviromoon/notifications/{deviceId}";
+
+// One broker connection per URL, shared by every MQTT channel
+const clients = new Map();
+
+const getClient = async (url) => {
+  if (!clients.has(url)) {
+    clients.set(url, mqtt.connectAsync(url, { connectTimeout: 10000 }));
+  }
+
+  try {
+    return await clients.get(url);
+  } catch (err) {
+    clients.delete(url); // Try a fresh connection next time
+    throw err;
+  }
+};
+
+// config: { url? (defaults to MQTT_URL), topic?, qos?, retain? }
+// "{deviceId}" in the topic is replaced with the alert's device
+export const validateConfig = (config) => {
+  if (!config.url && !process.env.MQTT_URL) {
+    return "mqtt config.url is required when MQTT_URL is not set";
+  }
+  if (config.topic !== undefined && typeof config.topic !== "string") {
+    return "mqtt config.topic must be a string";
+  }
+  if (config.qos !== undefined && ![0, 1, 2].includes(config.qos)) {
+    return "mqtt config.qos must be 0, 1 or 2";
+  }
+  return null;
+};
+
+export const send = async (config, payload) => {
+  const client = await getClient(config.url || process.env.MQTT_URL);
+  const topic = (config.topic || DEFAULT_TOPIC).replace(
+    "{deviceId}",
+    payload.alert.deviceId || "unknown"
+  );
+
+  await client.publishAsync(topic, JSON.stringify(payload), {
+    qos: config.qos !== undefined ? config.qos : 1,
+    retain: Boolean(config.retain),
+  });
+};
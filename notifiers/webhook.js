@@ -0,0 +1,52 @@
+import crypto from "crypto";
+
+const REQUEST_TIMEOUT = 10000; // Give up on a webhook after 10 seconds
+
+// config: { url, headers?, secret? }
+export const validateConfig = (config) => {
+  let url;
+  try {
+    url = new URL(config.url);
+  } catch (err) {
+    return "webhook config.url must be a valid URL";
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return "webhook config.url must be an http(s) URL";
+  }
+  if (
+    config.headers !== undefined &&
+    (typeof config.headers !== "object" || Array.isArray(config.headers))
+  ) {
+    return "webhook config.headers must be an object";
+  }
+  return null;
+};
+
+// POST the payload as JSON. With a secret, the body is signed so the
+// receiver can verify it: X-Enviromoon-Signature: sha256=<hex hmac>
+export const send = async (config, payload) => {
+  const body = JSON.stringify(payload);
+  const headers = {
+    "Content-Type": "application/json",
+    ...(config.headers || {}),
+  };
+
+  if (config.secret) {
+    const signature = crypto
+      .createHmac("sha256", config.secret)
+      .update(body)
+      .digest("hex");
+    headers["X-Enviromoon-Signature"] = `sha256=${signature}`;
+  }
+
+  const response = await fetch(config.url, {
+    method: "POST",
+    headers,
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook responded with ${response.status}`);
+  }
+};
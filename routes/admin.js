@@ -0,0 +1,130 @@
+import express from "express";
+import { ApiKey } from "../db/models.js";
+import { requireAdmin } from "../middleware/auth.js";
+import { issueApiKey, revokeApiKey } from "../services/apiKeys.js";
+import { checkConnections } from "../services/deviceState.js";
+import { isValidDeviceId } from "../services/devices.js";
+import {
+  getRetention,
+  getWatermarks,
+  runRetention,
+} from "../services/rollups.js";
+
+const router = express.Router();
+
+// ========== ADMIN ENDPOINTS ==========
+// All of them require ADMIN_API_TOKEN ("Authorization: Bearer <token>")
+
+// ✅ POST /api/admin/devices/:deviceId/keys - Issue a device API key
+// The plain key is only returned in this response; store it on the device
+router.post(
+  "/api/admin/devices/:deviceId/keys",
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      if (!isValidDeviceId(deviceId)) {
+        return res.status(400).json({
+          error:
+            "Invalid deviceId. Use 1-64 letters, numbers, dashes or underscores",
+        });
+      }
+
+      const { key, apiKey } = await issueApiKey(deviceId, req.body.label);
+
+      console.log(`🔑 API key ${apiKey.keyId} issued for ${deviceId}`);
+      res.status(201).json({
+        deviceId,
+        keyId: apiKey.keyId,
+        label: apiKey.label,
+        createdAt: apiKey.createdAt,
+        key,
+      });
+    } catch (err) {
+      console.error("❌ Error issuing API key:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ GET /api/admin/devices/:deviceId/keys - List a device's API keys
+router.get(
+  "/api/admin/devices/:deviceId/keys",
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const keys = await ApiKey.find({ deviceId: req.params.deviceId }).sort({
+        createdAt: -1,
+      });
+      res.json(keys);
+    } catch (err) {
+      console.error("❌ Error fetching API keys:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ DELETE /api/admin/devices/:deviceId/keys/:keyId - Revoke an API key
+router.delete(
+  "/api/admin/devices/:deviceId/keys/:keyId",
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { deviceId, keyId } = req.params;
+      const apiKey = await revokeApiKey(deviceId, keyId);
+      if (!apiKey) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      console.log(`🔒 API key ${keyId} revoked for ${deviceId}`);
+      res.json({ success: true, message: "API key revoked successfully" });
+    } catch (err) {
+      console.error("❌ Error revoking API key:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ GET /api/admin/retention - Retention settings and rollup progress
+router.get("/api/admin/retention", requireAdmin, async (req, res) => {
+  try {
+    const retention = getRetention();
+    const retentionDays = {};
+    Object.entries(retention).forEach(([tier, ms]) => {
+      retentionDays[tier] = ms === null ? null : ms / (24 * 60 * 60 * 1000);
+    });
+
+    res.json({ retentionDays, computedUntil: await getWatermarks() });
+  } catch (err) {
+    console.error("❌ Error fetching retention status:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ POST /api/admin/retention/run - Compute rollups and delete expired data
+// now (server.js runs this every 5 minutes; call it from a cron job on
+// serverless deployments)
+router.post("/api/admin/retention/run", requireAdmin, async (req, res) => {
+  try {
+    const result = await runRetention();
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("❌ Error running retention job:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ POST /api/admin/watchdog/run - Mark silent devices offline now
+// (server.js runs this every 10 seconds; call it from a cron job on
+// serverless deployments). Returns the devices marked offline
+router.post("/api/admin/watchdog/run", requireAdmin, async (req, res) => {
+  try {
+    const offline = await checkConnections();
+    res.json({ success: true, offline });
+  } catch (err) {
+    console.error("❌ Error running offline watchdog:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,162 @@
+import express from "express";
+import mongoose from "mongoose";
+import {
+  Alert,
+  ALERT_SEVERITIES,
+  ALERT_SOURCES,
+  ALERT_STATES,
+} from "../db/models.js";
+import { requireUser } from "../middleware/auth.js";
+import { buildStateFilter } from "../services/alerts.js";
+import { buildDeviceFilter } from "../services/devices.js";
+
+const router = express.Router();
+
+// ========== ALERT ENDPOINTS ==========
+
+const MAX_PAGE_SIZE = 500;
+
+// Check a filter value against its allowed list; returns an error or null
+const checkAllowed = (name, value, allowed) =>
+  value === undefined || allowed.includes(value)
+    ? null
+    : `Invalid ${name}. Use: ${allowed.join(", ")}`;
+
+// ✅ GET /api/alerts - Get recent alerts, newest first
+// Query params: state, severity, source, deviceId ("a" or "a,b"),
+// start, end (ISO dates), page (from 1), limit (default 50)
+// The total number of matches is returned in the X-Total-Count header
+router.get("/api/alerts", async (req, res) => {
+  try {
+    const { state, severity, source, deviceId, start, end, page, limit } =
+      req.query;
+
+    const error =
+      checkAllowed("state", state, ALERT_STATES) ||
+      checkAllowed("severity", severity, ALERT_SEVERITIES) ||
+      checkAllowed("source", source, ALERT_SOURCES);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const query = buildDeviceFilter(deviceId);
+    if (state) query.state = buildStateFilter(state);
+    if (severity) query.severity = severity;
+    if (source) query.source = source;
+
+    if (start || end) {
+      query.timestamp = {};
+      if (start) query.timestamp.$gte = new Date(start);
+      if (end) query.timestamp.$lte = new Date(end);
+      if (Object.values(query.timestamp).some((date) => isNaN(date))) {
+        return res.status(400).json({ error: "Invalid start or end date" });
+      }
+    }
+
+    const pageSize = Math.min(
+      Math.max(parseInt(limit) || 50, 1),
+      MAX_PAGE_SIZE
+    );
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const [alerts, total] = await Promise.all([
+      Alert.find(query)
+        .sort({ timestamp: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Alert.countDocuments(query),
+    ]);
+
+    res.set({
+      "X-Total-Count": total,
+      "X-Page": pageNumber,
+      "X-Page-Size": pageSize,
+    });
+    res.json(alerts);
+  } catch (err) {
+    console.error("❌ Error fetching alerts:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ PATCH /api/alerts/acknowledge - Acknowledge many open alerts at once
+// Body: { ids: ["...", "..."] }
+router.patch("/api/alerts/acknowledge", requireUser, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: "ids must be a non-empty array" });
+    }
+    if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: "Invalid alert id" });
+    }
+
+    const result = await Alert.updateMany(
+      { _id: { $in: ids }, state: buildStateFilter("open") },
+      {
+        $set: {
+          state: "acknowledged",
+          acknowledgedBy: req.user,
+          acknowledgedAt: new Date(),
+        },
+      }
+    );
+
+    console.log(
+      `👀 ${result.modifiedCount} alerts acknowledged by ${req.user}`
+    );
+    res.json({ success: true, acknowledged: result.modifiedCount });
+  } catch (err) {
+    console.error("❌ Error acknowledging alerts:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Move a single alert to a new state if it is currently in one of `from`
+const transitionAlert = async (req, res, { from, to, set }) => {
+  const alert = mongoose.isValidObjectId(req.params.id)
+    ? await Alert.findById(req.params.id)
+    : null;
+  if (!alert) {
+    return res.status(404).json({ error: "Alert not found" });
+  }
+
+  const currentState = alert.state || "open";
+  if (!from.includes(currentState)) {
+    return res.status(409).json({ error: `Alert is already ${currentState}` });
+  }
+
+  alert.set({ state: to, ...set });
+  await alert.save();
+  res.json(alert);
+};
+
+// ✅ PATCH /api/alerts/:id/acknowledge - Acknowledge an open alert
+router.patch("/api/alerts/:id/acknowledge", requireUser, async (req, res) => {
+  try {
+    await transitionAlert(req, res, {
+      from: ["open"],
+      to: "acknowledged",
+      set: { acknowledgedBy: req.user, acknowledgedAt: new Date() },
+    });
+  } catch (err) {
+    console.error("❌ Error acknowledging alert:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ PATCH /api/alerts/:id/resolve - Resolve an open or acknowledged alert
+router.patch("/api/alerts/:id/resolve", requireUser, async (req, res) => {
+  try {
+    await transitionAlert(req, res, {
+      from: ["open", "acknowledged"],
+      to: "resolved",
+      set: { resolvedBy: req.user, resolvedAt: new Date() },
+    });
+  } catch (err) {
+    console.error("❌ Error resolving alert:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
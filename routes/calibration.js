@@ -0,0 +1,139 @@
+import express from "express";
+import { CalibrationProfile, Device } from "../db/models.js";
+import { requireUser } from "../middleware/auth.js";
+import {
+  getCalibration,
+  parseCalibration,
+  reprocessReadings,
+} from "../services/calibration.js";
+import { parseTimeRange } from "../utils/time.js";
+
+const router = express.Router();
+
+// ========== CALIBRATION ENDPOINTS ==========
+
+// Profile as returned by the API; devices without one get the identity
+const describeCalibration = (deviceId, profile) => ({
+  deviceId,
+  temperature: (profile && profile.temperature) || { offset: 0, gain: 1 },
+  humidity: (profile && profile.humidity) || { offset: 0, gain: 1 },
+  ldrCurve: (profile && profile.ldrCurve) || [],
+  updatedAt: (profile && profile.updatedAt) || null,
+  updatedBy: (profile && profile.updatedBy) || null,
+});
+
+// ✅ GET /api/devices/:deviceId/calibration - Get a device's calibration
+router.get("/api/devices/:deviceId/calibration", async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    if (!(await Device.exists({ deviceId }))) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    res.json(describeCalibration(deviceId, await getCalibration(deviceId)));
+  } catch (err) {
+    console.error("❌ Error fetching calibration:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ PUT /api/devices/:deviceId/calibration - Set a device's calibration
+// Body: temperature and humidity ({ offset, gain }: calibrated = raw *
+// gain + offset), ldrCurve ([{ adc, lux }, ...] for the LDR's lux value).
+// Omitted parts are reset. Applies to new readings; use .../reprocess to
+// recalibrate stored ones
+router.put(
+  "/api/devices/:deviceId/calibration",
+  requireUser,
+  async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      if (!(await Device.exists({ deviceId }))) {
+        return res.status(404).json({ error: "Device not found" });
+      }
+
+      const { fields, error } = parseCalibration(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const profile = await CalibrationProfile.findOneAndReplace(
+        { deviceId },
+        { ...fields, deviceId, updatedAt: new Date(), updatedBy: req.user },
+        { upsert: true, new: true, lean: true }
+      );
+
+      console.log(`🎚️ Calibration updated for ${deviceId} by ${req.user}`);
+      res.json(describeCalibration(deviceId, profile));
+    } catch (err) {
+      console.error("❌ Error updating calibration:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ DELETE /api/devices/:deviceId/calibration - Remove a calibration
+// New readings are stored as sent; stored ones keep their values until
+// reprocessed
+router.delete(
+  "/api/devices/:deviceId/calibration",
+  requireUser,
+  async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const result = await CalibrationProfile.deleteOne({ deviceId });
+      if (result.deletedCount === 0) {
+        return res.status(404).json({ error: "Calibration not found" });
+      }
+
+      console.log(`🎚️ Calibration removed for ${deviceId} by ${req.user}`);
+      res.json({ message: "Calibration removed", deviceId });
+    } catch (err) {
+      console.error("❌ Error removing calibration:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ POST /api/devices/:deviceId/calibration/reprocess - Recalibrate
+// stored readings from their raw values with the current calibration
+// Body: period or start & end (optional; default all readings)
+router.post(
+  "/api/devices/:deviceId/calibration/reprocess",
+  requireUser,
+  async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      if (!(await Device.exists({ deviceId }))) {
+        return res.status(404).json({ error: "Device not found" });
+      }
+
+      const { period, start, end } = req.body;
+      let range = {};
+      if (period || start || end) {
+        range = parseTimeRange({ period, start, end });
+        if (range.error) {
+          return res.status(400).json({ error: range.error });
+        }
+      }
+
+      const { matched, modified } = await reprocessReadings(deviceId, range);
+
+      console.log(
+        `🎚️ Reprocessed ${modified} of ${matched} readings for ${deviceId}`
+      );
+      res.json({
+        deviceId,
+        startTime: range.start || null,
+        endTime: range.end || null,
+        matched,
+        modified,
+      });
+    } catch (err) {
+      console.error("❌ Error reprocessing readings:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+export default router;
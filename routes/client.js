@@ -0,0 +1,468 @@
+import express from "express";
+import { DERIVED_METRICS, DeviceStatus, SensorData } from "../db/models.js";
+import { resolveDevice } from "../middleware/device.js";
+import {
+  CONNECTION_TIMEOUT,
+  getConnectionStatus,
+  getLatestDeviceStatus,
+  isDeviceConnected,
+} from "../services/deviceState.js";
+import {
+  aggregateReadings,
+  MAX_BUCKETS,
+  parseBucket,
+} from "../services/aggregates.js";
+import { buildDeviceFilter } from "../services/devices.js";
+import { buildGroupFilter } from "../services/groups.js";
+import {
+  findTierReadings,
+  getWatermarks,
+  selectTier,
+} from "../services/rollups.js";
+import {
+  EXPORT_FORMATS,
+  parseColumns,
+  streamExport,
+} from "../services/export.js";
+import { isValidTimezone, parsePeriod, parseTimeRange } from "../utils/time.js";
+import {
+  convertReading,
+  convertSummary,
+  isDefaultUnits,
+  parseUnits,
+} from "../utils/units.js";
+
+const router = express.Router();
+
+// Readings in the requested units (see parseUnits); documents are left
+// as they are for the default units
+const readingsInUnits = (readings, units) =>
+  isDefaultUnits(units)
+    ? readings
+    : readings.map((reading) =>
+        convertReading(reading.toObject ? reading.toObject() : reading, units)
+      );
+
+// ========== CLIENT API ENDPOINTS ==========
+
+// ✅ GET /api/sensors - Fetch latest sensor data
+// Query params: deviceId (optional), units (optional, e.g. "F,lux")
+router.get("/api/sensors", async (req, res) => {
+  try {
+    const parsedUnits = parseUnits(req.query.units);
+    if (parsedUnits.error) {
+      return res.status(400).json({ error: parsedUnits.error });
+    }
+    const { units } = parsedUnits;
+
+    const data = await SensorData.find(buildDeviceFilter(req.query.deviceId))
+      .sort({ timestamp: -1 })
+      .limit(10);
+    console.log(`📊 Found ${data.length} latest sensor readings`);
+    res.json(readingsInUnits(data, units));
+  } catch (err) {
+    console.error("❌ Error fetching latest data:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/sensors/latest - Get the most recent sensor reading
+// Query params: deviceId (optional, "a" or "a,b"), units (optional)
+router.get("/api/sensors/latest", async (req, res) => {
+  try {
+    const { deviceId } = req.query;
+    const parsedUnits = parseUnits(req.query.units);
+    if (parsedUnits.error) {
+      return res.status(400).json({ error: parsedUnits.error });
+    }
+    const { units } = parsedUnits;
+
+    // Get the most recent from database to include timestamp
+    const latest = await SensorData.findOne(buildDeviceFilter(deviceId))
+      .sort({ timestamp: -1 })
+      .limit(1);
+
+    if (latest) {
+      const reading = convertReading(
+        {
+          deviceId: latest.deviceId,
+          temperature: latest.temperature,
+          humidity: latest.humidity,
+          ldr: latest.ldr,
+          lux: latest.lux,
+          ...Object.fromEntries(
+            DERIVED_METRICS.map((metric) => [metric, latest[metric]])
+          ),
+          timestamp: latest.timestamp,
+        },
+        units
+      );
+      const light = units.light === "lux" ? `${reading.ldr} lux` : reading.ldr;
+      res.json({
+        ...reading,
+        formatted: `🌡️ Temperature: ${reading.temperature}°${units.temperature} | 💧 Humidity: ${reading.humidity}% | 💡 Light: ${light}`,
+      });
+    } else {
+      res.json({ message: "No sensor data available yet" });
+    }
+  } catch (err) {
+    console.error("❌ Error fetching latest reading:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/sensors/range - Get readings with time range
+router.get("/api/sensors/range", async (req, res) => {
+  try {
+    const { start, end, limit, deviceId } = req.query;
+    const parsedUnits = parseUnits(req.query.units);
+    if (parsedUnits.error) {
+      return res.status(400).json({ error: parsedUnits.error });
+    }
+    const { units } = parsedUnits;
+    const query = buildDeviceFilter(deviceId);
+
+    if (start && end) {
+      query.timestamp = {
+        $gte: new Date(start),
+        $lte: new Date(end),
+      };
+    }
+
+    const data = await SensorData.find(query)
+      .sort({ timestamp: -1 })
+      .limit(limit ? parseInt(limit) : 1000);
+
+    console.log(
+      `📊 Found ${data.length} sensor readings in database for the specified range`
+    );
+    res.json(readingsInUnits(data, units));
+  } catch (err) {
+    console.error("❌ Error fetching data range:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/sensors/history - Get readings for a specific time period
+// Query params: period (1m, 5m, 15m, 30m, 1h, 6h, 1d, 1w) or custom minutes/hours/days
+// deviceId (optional, "a" or "a,b"), units (optional, e.g. "F,lux")
+router.get("/api/sensors/history", async (req, res) => {
+  try {
+    const { period, limit, deviceId } = req.query;
+    const now = new Date();
+
+    const parsedUnits = parseUnits(req.query.units);
+    if (parsedUnits.error) {
+      return res.status(400).json({ error: parsedUnits.error });
+    }
+    const { units } = parsedUnits;
+
+    if (!period) {
+      return res.status(400).json({
+        error:
+          "Period parameter is required. Use: 1m, 5m, 15m, 30m, 1h, 6h, 1d, 1w",
+      });
+    }
+
+    // Calculate start time based on period
+    const periodMs = parsePeriod(period);
+    if (!periodMs) {
+      return res.status(400).json({
+        error:
+          "Invalid period. Use: 1m, 5m, 15m, 30m, 1h, 6h, 1d, 1w, or custom like 10m, 12h, 3d",
+      });
+    }
+    const startTime = new Date(now.getTime() - periodMs);
+
+    // Ranges older than the raw retention are read from rollups
+    const tier = selectTier({ start: startTime, now });
+    let data;
+    if (tier === "raw") {
+      const query = {
+        ...buildDeviceFilter(deviceId),
+        timestamp: {
+          $gte: startTime,
+          $lte: now,
+        },
+      };
+
+      data = await SensorData.find(query)
+        .sort({ timestamp: -1 })
+        .limit(limit ? parseInt(limit) : 10000);
+    } else {
+      data = await findTierReadings(
+        tier,
+        {
+          filter: buildDeviceFilter(deviceId),
+          start: startTime,
+          end: new Date(now.getTime() + 1),
+          limit: limit ? parseInt(limit) : 10000,
+        },
+        await getWatermarks()
+      );
+    }
+
+    console.log(
+      `📊 Found ${data.length} sensor readings for the last ${period}`
+    );
+    res.json({
+      period,
+      tier,
+      units,
+      startTime,
+      endTime: now,
+      count: data.length,
+      data: readingsInUnits(data, units),
+    });
+  } catch (err) {
+    console.error("❌ Error fetching history data:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/sensors/aggregate - Downsampled readings for charts
+// Query params: bucket (1m, 5m, 1h, 1d or custom like 15m, 6h),
+// period (like /api/sensors/history) or start & end (ISO dates),
+// timezone (IANA name, default UTC), deviceId (optional, "a" or "a,b") or
+// groupId (the group's devices; with perDevice=false that's the group
+// average, e.g. a room's temperature), perDevice=true to get one series
+// per device, units (optional), excludeFlagged=true to leave out readings
+// flagged by the sensor-health checks (reads raw readings only, so covers
+// the raw retention period)
+router.get("/api/sensors/aggregate", async (req, res) => {
+  try {
+    const {
+      bucket,
+      period,
+      start,
+      end,
+      timezone,
+      deviceId,
+      groupId,
+      perDevice,
+      excludeFlagged,
+    } = req.query;
+
+    if (deviceId && groupId) {
+      return res
+        .status(400)
+        .json({ error: "Give deviceId or groupId, not both" });
+    }
+    const filter = groupId
+      ? await buildGroupFilter(groupId)
+      : buildDeviceFilter(deviceId);
+    if (!filter) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    if (!parseBucket(bucket)) {
+      return res.status(400).json({
+        error:
+          "Invalid bucket. Use: 1m, 5m, 1h, 1d, or custom like 15m, 6h, 7d",
+      });
+    }
+
+    const tz = timezone || "UTC";
+    if (!isValidTimezone(tz)) {
+      return res.status(400).json({ error: "Invalid timezone" });
+    }
+
+    const parsedUnits = parseUnits(req.query.units);
+    if (parsedUnits.error) {
+      return res.status(400).json({ error: parsedUnits.error });
+    }
+    const { units } = parsedUnits;
+
+    const range = parseTimeRange({ period, start, end });
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    const { start: startTime, end: endTime } = range;
+
+    if ((endTime - startTime) / parseBucket(bucket).ms > MAX_BUCKETS) {
+      return res.status(400).json({
+        error: `Too many buckets (max ${MAX_BUCKETS}). Use a larger bucket or a shorter range`,
+      });
+    }
+
+    const { tier, data } = await aggregateReadings({
+      filter,
+      start: startTime,
+      end: endTime,
+      bucket,
+      timezone: tz,
+      perDevice: perDevice === "true",
+      excludeFlagged: excludeFlagged === "true",
+    });
+
+    console.log(`📊 Aggregated sensor readings into ${data.length} buckets`);
+    res.json({
+      bucket,
+      tier,
+      timezone: tz,
+      units,
+      excludeFlagged: excludeFlagged === "true",
+      startTime,
+      endTime,
+      count: data.length,
+      data: data.map((row) => convertSummary(row, units)),
+    });
+  } catch (err) {
+    console.error("❌ Error aggregating sensor data:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/sensors/export - Download readings as a file
+// Query params: format (csv, ndjson or xlsx), period or start & end
+// (like /api/sensors/aggregate), deviceId (optional, "a" or "a,b"),
+// columns (e.g. "timestamp,deviceId,temperature"; default all),
+// timezone (IANA name for timestamps, default UTC), units (e.g. "F,lux")
+router.get("/api/sensors/export", async (req, res) => {
+  try {
+    const { format, period, start, end, deviceId, columns, timezone, units } =
+      req.query;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: `Invalid format. Use: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+      });
+    }
+
+    const range = parseTimeRange({ period, start, end });
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const parsedColumns = parseColumns(columns);
+    if (parsedColumns.error) {
+      return res.status(400).json({ error: parsedColumns.error });
+    }
+
+    const tz = timezone || "UTC";
+    if (!isValidTimezone(tz)) {
+      return res.status(400).json({ error: "Invalid timezone" });
+    }
+
+    const parsedUnits = parseUnits(units);
+    if (parsedUnits.error) {
+      return res.status(400).json({ error: parsedUnits.error });
+    }
+
+    const filename = `sensors-${range.start
+      .toISOString()
+      .slice(0, 10)}-${range.end.toISOString().slice(0, 10)}.${format}`;
+    res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    const count = await streamExport(res, {
+      filter: {
+        ...buildDeviceFilter(deviceId),
+        timestamp: { $gte: range.start, $lte: range.end },
+      },
+      format,
+      columns: parsedColumns.columns,
+      timezone: tz,
+      units: parsedUnits.units,
+    });
+    console.log(`📤 Exported ${count} sensor readings as ${format}`);
+  } catch (err) {
+    console.error("❌ Error exporting sensor data:", err);
+    // Headers are gone once streaming started; just cut the download short
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      res.removeHeader("Content-Disposition");
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+});
+
+// ✅ GET /api/device/status - Get latest device status
+// Query params: deviceId (optional)
+router.get("/api/device/status", async (req, res) => {
+  try {
+    const { deviceId } = req.query;
+    const latestDeviceStatus =
+      deviceId && (await getLatestDeviceStatus(deviceId));
+
+    if (latestDeviceStatus) {
+      res.json({ deviceId, ...latestDeviceStatus });
+    } else {
+      // Try to get from database
+      const status = await DeviceStatus.findOne(buildDeviceFilter(deviceId))
+        .sort({ timestamp: -1 })
+        .limit(1);
+      res.json(status || { message: "No status available" });
+    }
+  } catch (err) {
+    console.error("❌ Error fetching device status:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/device/connection - Check device connection status
+// Query params: deviceId (defaults to the device without an id)
+router.get("/api/device/connection", resolveDevice, async (req, res) => {
+  try {
+    const connectionStatus = await getConnectionStatus(req.deviceId);
+    const now = new Date();
+
+    // Check if device is still connected (has communicated recently)
+    const isCurrentlyConnected = isDeviceConnected(connectionStatus, now);
+
+    // Calculate time since last communication
+    const getTimeAgo = (date) => {
+      if (!date) return "Never";
+      const seconds = Math.floor((now - date) / 1000);
+      if (seconds < 60) return `${seconds} seconds ago`;
+      const minutes = Math.floor(seconds / 60);
+      if (minutes < 60) return `${minutes} minutes ago`;
+      const hours = Math.floor(minutes / 60);
+      return `${hours} hours ago`;
+    };
+
+    const status = {
+      deviceId: req.deviceId,
+      isConnected: isCurrentlyConnected,
+      onlineSince: isCurrentlyConnected
+        ? connectionStatus.sessionStart || null
+        : null,
+      // Seconds without contact before the device counts as offline
+      offlineTimeout: (connectionStatus.timeoutMs || CONNECTION_TIMEOUT) / 1000,
+      lastDataReceived: connectionStatus.lastDataReceived
+        ? {
+            timestamp: connectionStatus.lastDataReceived,
+            timeAgo: getTimeAgo(connectionStatus.lastDataReceived),
+          }
+        : null,
+      lastStatusUpdate: connectionStatus.lastStatusUpdate
+        ? {
+            timestamp: connectionStatus.lastStatusUpdate,
+            timeAgo: getTimeAgo(connectionStatus.lastStatusUpdate),
+          }
+        : null,
+      lastCommandPoll: connectionStatus.lastCommandPoll
+        ? {
+            timestamp: connectionStatus.lastCommandPoll,
+            timeAgo: getTimeAgo(connectionStatus.lastCommandPoll),
+          }
+        : null,
+      statistics: {
+        totalDataReceived: connectionStatus.totalDataReceived,
+        totalCommandsSent: connectionStatus.totalCommandsSent,
+        totalRejected: connectionStatus.totalRejected,
+        rejectedByType: connectionStatus.rejectedByType,
+        lastRejectedAt: connectionStatus.lastRejectedAt,
+      },
+      latestSensorData: connectionStatus.latestSensorData,
+    };
+
+    res.json(status);
+  } catch (err) {
+    console.error("❌ Error fetching connection status:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,326 @@
+import express from "express";
+import mongoose from "mongoose";
+import { Command, COMMAND_STATUSES } from "../db/models.js";
+import { requireUser } from "../middleware/auth.js";
+import { resolveDevice } from "../middleware/device.js";
+import {
+  checkDeviceCommand,
+  describeCatalog,
+  getFirmwareVersion,
+  sendCommand,
+} from "../services/commandCatalog.js";
+import { expireCommands, queueCommand } from "../services/commands.js";
+import { setDesiredConfig } from "../services/config.js";
+import { buildDeviceFilter } from "../services/devices.js";
+
+const router = express.Router();
+
+// ========== COMMAND ENDPOINTS ==========
+// Every command route targets one device: pass deviceId in the body or query
+// (commands without one go to the default device)
+// All of them require a user token ("Authorization: Bearer <token>")
+
+// ✅ POST /api/device/command - Queue a command for ESP32
+// Body: { command, deviceId?, ttl? (seconds before an undelivered command expires) }
+// Commands are checked against the catalogue (GET /api/commands/catalog):
+// unknown commands, bad arguments and commands the device's firmware
+// doesn't have get a 400
+router.post(
+  "/api/device/command",
+  requireUser,
+  resolveDevice,
+  async (req, res) => {
+    try {
+      const { command, ttl } = req.body;
+
+      if (ttl !== undefined && !(Number(ttl) > 0)) {
+        return res.status(400).json({ error: "Invalid ttl" });
+      }
+
+      const parsed = await checkDeviceCommand(req.deviceId, command);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      // ttl is in seconds, like the sampling interval
+      const queued = await sendCommand(req.deviceId, parsed, {
+        user: req.user,
+        ttl: ttl !== undefined ? Number(ttl) * 1000 : undefined,
+      });
+      console.log(`📥 Command queued for ${req.deviceId}:`, parsed.command);
+      res.json({
+        success: true,
+        message: "Command queued successfully",
+        commandId: queued._id,
+      });
+    } catch (err) {
+      console.error("❌ Error queueing command:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ POST /api/sensors/read - Force immediate reading
+router.post(
+  "/api/sensors/read",
+  requireUser,
+  resolveDevice,
+  async (req, res) => {
+    try {
+      const queued = await queueCommand(req.deviceId, "READ");
+      console.log(`📥 READ command queued for ${req.deviceId}`);
+      res.json({
+        success: true,
+        message: "Reading command queued",
+        commandId: queued._id,
+      });
+    } catch (err) {
+      console.error("❌ Error sending read command:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// The settings routes below update the device's desired config
+// (see /api/devices/:deviceId/config), so the device is corrected if it
+// later reports a different value
+
+// ✅ POST /api/settings/sampling-interval - Update sampling interval
+router.post(
+  "/api/settings/sampling-interval",
+  requireUser,
+  resolveDevice,
+  async (req, res) => {
+    try {
+      const interval = Number(req.body.interval);
+      if (!Number.isFinite(interval) || interval < 1 || interval > 86400) {
+        return res.status(400).json({ error: "Invalid interval" });
+      }
+
+      // Convert to milliseconds; the desired config queues the command
+      const intervalMs = Math.round(interval * 1000);
+      const {
+        commands: [queued],
+      } = await setDesiredConfig(
+        req.deviceId,
+        { samplingInterval: intervalMs },
+        { user: req.user }
+      );
+
+      console.log("✅ Sampling interval command queued:", interval, "seconds");
+      res.json({ success: true, interval, commandId: queued._id });
+    } catch (err) {
+      console.error("❌ Error updating sampling interval:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ POST /api/sensors/temp/enable - Enable temperature/humidity readings
+router.post(
+  "/api/sensors/temp/enable",
+  requireUser,
+  resolveDevice,
+  async (req, res) => {
+    try {
+      const {
+        commands: [queued],
+      } = await setDesiredConfig(
+        req.deviceId,
+        { tempHumidityEnabled: true },
+        { user: req.user }
+      );
+      console.log("📥 TEMP:ON command queued");
+      res.json({
+        success: true,
+        message: "Temperature/Humidity readings enabled",
+        commandId: queued._id,
+      });
+    } catch (err) {
+      console.error("❌ Error enabling temp sensor:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ POST /api/sensors/temp/disable - Disable temperature/humidity readings
+router.post(
+  "/api/sensors/temp/disable",
+  requireUser,
+  resolveDevice,
+  async (req, res) => {
+    try {
+      const {
+        commands: [queued],
+      } = await setDesiredConfig(
+        req.deviceId,
+        { tempHumidityEnabled: false },
+        { user: req.user }
+      );
+      console.log("📥 TEMP:OFF command queued");
+      res.json({
+        success: true,
+        message: "Temperature/Humidity readings disabled",
+        commandId: queued._id,
+      });
+    } catch (err) {
+      console.error("❌ Error disabling temp sensor:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ POST /api/sensors/light/enable - Enable light (LDR) readings
+router.post(
+  "/api/sensors/light/enable",
+  requireUser,
+  resolveDevice,
+  async (req, res) => {
+    try {
+      const {
+        commands: [queued],
+      } = await setDesiredConfig(
+        req.deviceId,
+        { lightEnabled: true },
+        { user: req.user }
+      );
+      console.log("📥 LIGHT:ON command queued");
+      res.json({
+        success: true,
+        message: "Light (LDR) readings enabled",
+        commandId: queued._id,
+      });
+    } catch (err) {
+      console.error("❌ Error enabling light sensor:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ POST /api/sensors/light/disable - Disable light (LDR) readings
+router.post(
+  "/api/sensors/light/disable",
+  requireUser,
+  resolveDevice,
+  async (req, res) => {
+    try {
+      const {
+        commands: [queued],
+      } = await setDesiredConfig(
+        req.deviceId,
+        { lightEnabled: false },
+        { user: req.user }
+      );
+      console.log("📥 LIGHT:OFF command queued");
+      res.json({
+        success: true,
+        message: "Light (LDR) readings disabled",
+        commandId: queued._id,
+      });
+    } catch (err) {
+      console.error("❌ Error disabling light sensor:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ POST /api/device/status-request - Request device status
+router.post(
+  "/api/device/status-request",
+  requireUser,
+  resolveDevice,
+  async (req, res) => {
+    try {
+      const queued = await queueCommand(req.deviceId, "STATUS");
+      console.log("📥 STATUS command queued");
+      res.json({
+        success: true,
+        message: "Status request queued",
+        commandId: queued._id,
+      });
+    } catch (err) {
+      console.error("❌ Error requesting status:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ GET /api/commands - Command history, newest first
+// Query params: deviceId (optional, "a" or "a,b"), status, scheduleId
+// (commands queued by that schedule), groupId and batchId (commands sent
+// to a group, see POST /api/groups/:id/commands), limit
+router.get("/api/commands", requireUser, async (req, res) => {
+  try {
+    const { deviceId, status, scheduleId, groupId, batchId, limit } = req.query;
+    const query = buildDeviceFilter(deviceId);
+
+    if (status) {
+      if (!COMMAND_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `Invalid status. Use: ${COMMAND_STATUSES.join(", ")}`,
+        });
+      }
+      query.status = status;
+    }
+    const origin = { scheduleId, groupId, batchId };
+    for (const [field, id] of Object.entries(origin)) {
+      if (!id) continue;
+      if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ error: `Invalid ${field}` });
+      }
+      query[field] = id;
+    }
+
+    await expireCommands();
+    const commands = await Command.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit ? parseInt(limit) : 50);
+    res.json(commands);
+  } catch (err) {
+    console.error("❌ Error fetching command history:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/commands/catalog - Commands the firmware understands
+// Query params: deviceId (optional; adds the device's firmwareVersion and
+// whether each command is available on it)
+router.get("/api/commands/catalog", requireUser, async (req, res) => {
+  try {
+    const { deviceId } = req.query;
+    if (!deviceId) {
+      return res.json({ commands: describeCatalog() });
+    }
+
+    const firmwareVersion = await getFirmwareVersion(deviceId);
+    res.json({
+      deviceId,
+      firmwareVersion,
+      commands: describeCatalog(firmwareVersion),
+    });
+  } catch (err) {
+    console.error("❌ Error fetching command catalog:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/commands/:id - Get a single command and its result
+router.get("/api/commands/:id", requireUser, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Command not found" });
+    }
+
+    await expireCommands();
+    const command = await Command.findById(req.params.id);
+    if (!command) {
+      return res.status(404).json({ error: "Command not found" });
+    }
+    res.json(command);
+  } catch (err) {
+    console.error("❌ Error fetching command:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
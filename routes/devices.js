@@ -0,0 +1,347 @@
+import express from "express";
+import mongoose from "mongoose";
+import {
+  ApiKey,
+  CalibrationProfile,
+  Command,
+  ConnectivitySession,
+  Device,
+  DeviceConfig,
+  DeviceConnection,
+  FirmwareUpdate,
+  Schedule,
+  SensorHealth,
+} from "../db/models.js";
+import { requireUser } from "../middleware/auth.js";
+import { checkDeviceCommand } from "../services/commandCatalog.js";
+import {
+  CONFIG_COMMANDS,
+  CONFIG_SCHEMA,
+  describeConfig,
+  setDesiredConfig,
+} from "../services/config.js";
+import { updateConnectionTimeout } from "../services/deviceState.js";
+import { isValidDeviceId } from "../services/devices.js";
+import { buildUptimeReport, MAX_UPTIME_DAYS } from "../services/uptime.js";
+import { validatePayload } from "../utils/schema.js";
+import { isValidTimezone, parseTimeRange } from "../utils/time.js";
+
+const router = express.Router();
+
+// ========== DEVICE REGISTRY ENDPOINTS ==========
+
+// Offline timeout a device may be given, in seconds (10 s to a week)
+const OFFLINE_TIMEOUT_RANGE = { min: 10, max: 7 * 24 * 60 * 60 };
+
+// Pick the editable registry fields out of a request body.
+// Returns { fields } or { error }
+const pickDeviceFields = (body) => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = String(body.name);
+  if (body.location !== undefined) fields.location = String(body.location);
+  if (body.tags !== undefined) {
+    fields.tags = (Array.isArray(body.tags) ? body.tags : [body.tags]).map(
+      String
+    );
+  }
+  if (body.offlineTimeout !== undefined) {
+    // null goes back to the timeout derived from the sampling interval
+    const { min, max } = OFFLINE_TIMEOUT_RANGE;
+    const timeout = body.offlineTimeout;
+    if (
+      timeout !== null &&
+      !(Number.isInteger(timeout) && timeout >= min && timeout <= max)
+    ) {
+      return {
+        error: `Invalid offlineTimeout. Use ${min}-${max} seconds, or null`,
+      };
+    }
+    fields.offlineTimeout = timeout;
+  }
+  return { fields };
+};
+
+// ✅ GET /api/devices - List registered devices
+// Query params: tag, location, groupId (optional filters)
+router.get("/api/devices", async (req, res) => {
+  try {
+    const { tag, location, groupId } = req.query;
+    const query = {};
+    if (tag) query.tags = tag;
+    if (location) query.location = location;
+    if (groupId) {
+      if (!mongoose.isValidObjectId(groupId)) {
+        return res.status(400).json({ error: "Invalid groupId" });
+      }
+      query.groupIds = groupId;
+    }
+
+    const devices = await Device.find(query).sort({ deviceId: 1 });
+    res.json(devices);
+  } catch (err) {
+    console.error("❌ Error fetching devices:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/devices/:deviceId - Get a single device
+router.get("/api/devices/:deviceId", async (req, res) => {
+  try {
+    const device = await Device.findOne({ deviceId: req.params.deviceId });
+    if (!device) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+    res.json(device);
+  } catch (err) {
+    console.error("❌ Error fetching device:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ POST /api/devices - Register a device
+router.post("/api/devices", requireUser, async (req, res) => {
+  try {
+    const { deviceId } = req.body;
+
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({
+        error:
+          "Invalid deviceId. Use 1-64 letters, numbers, dashes or underscores",
+      });
+    }
+
+    const { fields, error } = pickDeviceFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (await Device.exists({ deviceId })) {
+      return res.status(409).json({ error: "Device already exists" });
+    }
+
+    const device = new Device({
+      deviceId,
+      name: deviceId,
+      ...fields,
+    });
+    await device.save();
+    if (fields.offlineTimeout) {
+      await updateConnectionTimeout(deviceId);
+    }
+
+    console.log("🆕 Device registered:", deviceId);
+    res.status(201).json(device);
+  } catch (err) {
+    console.error("❌ Error registering device:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ PATCH /api/devices/:deviceId - Update name, location, tags or
+// offlineTimeout (seconds without contact before the device counts as
+// offline; null derives it from the sampling interval again)
+router.patch("/api/devices/:deviceId", requireUser, async (req, res) => {
+  try {
+    const { fields, error } = pickDeviceFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const device = await Device.findOneAndUpdate(
+      { deviceId: req.params.deviceId },
+      { $set: fields },
+      { new: true }
+    );
+    if (!device) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+    if (fields.offlineTimeout !== undefined) {
+      await updateConnectionTimeout(device.deviceId);
+    }
+
+    console.log("✏️ Device updated:", device.deviceId);
+    res.json(device);
+  } catch (err) {
+    console.error("❌ Error updating device:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/devices/:deviceId/uptime - Daily availability report
+// Query params: period (e.g. 7d, default 7d) or start & end (ISO dates),
+// timezone (IANA name for day boundaries, default UTC)
+// Per day: onlinePercent (null before the device was first seen), the
+// outages that started that day and the longest of them; overall:
+// availability and the longest outage (ongoing if the device is offline)
+router.get("/api/devices/:deviceId/uptime", async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { start, end, timezone } = req.query;
+    const period = req.query.period || (start || end ? undefined : "7d");
+
+    const tz = timezone || "UTC";
+    if (!isValidTimezone(tz)) {
+      return res.status(400).json({ error: "Invalid timezone" });
+    }
+
+    const range = parseTimeRange({ period, start, end });
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    if (range.end - range.start > MAX_UPTIME_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: `Range too long (max ${MAX_UPTIME_DAYS} days)`,
+      });
+    }
+
+    if (!(await Device.exists({ deviceId }))) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    const report = await buildUptimeReport(deviceId, {
+      start: range.start,
+      end: range.end,
+      timezone: tz,
+    });
+    res.json(report);
+  } catch (err) {
+    console.error("❌ Error building uptime report:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/devices/:deviceId/config - Desired vs reported settings
+// `drift` lists settings the device reports differently (or hasn't
+// reported yet); they are re-sent when a status update shows the drift
+router.get("/api/devices/:deviceId/config", async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    if (!(await Device.exists({ deviceId }))) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    const config = await DeviceConfig.findOne({ deviceId }).lean();
+    res.json(describeConfig(deviceId, config));
+  } catch (err) {
+    console.error("❌ Error fetching device config:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ PATCH /api/devices/:deviceId/config - Change desired settings
+// Body: any of samplingInterval (ms), ledState, temperatureOffset,
+// humidityOffset, lightThreshold, tempHumidityEnabled, lightEnabled;
+// null stops managing a setting. Commands applying the changes are queued;
+// settings whose command the device's firmware doesn't have are rejected
+router.patch("/api/devices/:deviceId/config", requireUser, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    if (!(await Device.exists({ deviceId }))) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    const unknown = Object.keys(req.body).filter(
+      (field) => !CONFIG_SCHEMA[field]
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown settings: ${unknown.join(", ")}. Use: ${Object.keys(
+          CONFIG_SCHEMA
+        ).join(", ")}`,
+      });
+    }
+
+    const { value, errors } = validatePayload(CONFIG_SCHEMA, req.body, {
+      partial: true,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid config", details: errors });
+    }
+
+    const changes = { ...value };
+    Object.keys(req.body).forEach((field) => {
+      if (req.body[field] === null) changes[field] = null;
+    });
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: "No settings given" });
+    }
+
+    // Settings are applied by commands the device's firmware must know
+    const unsupported = [];
+    for (const [field, setting] of Object.entries(changes)) {
+      if (setting === null) continue;
+      const checked = await checkDeviceCommand(
+        deviceId,
+        CONFIG_COMMANDS[field](setting)
+      );
+      if (checked.error) {
+        unsupported.push({ field, message: checked.error, value: setting });
+      }
+    }
+    if (unsupported.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid config", details: unsupported });
+    }
+
+    const { config, commands } = await setDesiredConfig(deviceId, changes, {
+      user: req.user,
+    });
+
+    console.log(`⚙️ Config updated for ${deviceId} by ${req.user}:`, changes);
+    res.json({
+      ...describeConfig(deviceId, config),
+      commandIds: commands.map((command) => command._id),
+    });
+  } catch (err) {
+    console.error("❌ Error updating device config:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ DELETE /api/devices/:deviceId - Remove a device from the registry
+// (its readings, statuses and alerts are kept; its API keys are revoked,
+// its queued commands expired, its schedules disabled and its firmware
+// updates in progress cancelled, and its connection tracking, uptime
+// history, config, calibration and sensor-health state are cleared).
+// A device that reports again is registered again, with nothing waiting
+router.delete("/api/devices/:deviceId", requireUser, async (req, res) => {
+  try {
+    const result = await Device.deleteOne({ deviceId: req.params.deviceId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    await ApiKey.updateMany(
+      { deviceId: req.params.deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    await DeviceConnection.deleteOne({ deviceId: req.params.deviceId });
+    await ConnectivitySession.deleteMany({ deviceId: req.params.deviceId });
+    await DeviceConfig.deleteOne({ deviceId: req.params.deviceId });
+    await CalibrationProfile.deleteOne({ deviceId: req.params.deviceId });
+    await SensorHealth.deleteOne({ deviceId: req.params.deviceId });
+    await Command.updateMany(
+      { deviceId: req.params.deviceId, status: "queued" },
+      { $set: { status: "expired" } }
+    );
+    await Schedule.updateMany(
+      { deviceId: req.params.deviceId },
+      { $set: { enabled: false, lastError: "Device removed" } }
+    );
+    await FirmwareUpdate.updateMany(
+      {
+        deviceId: req.params.deviceId,
+        status: { $in: ["queued", "downloading", "installing"] },
+      },
+      { $set: { status: "cancelled", updatedAt: new Date() } }
+    );
+    console.log("🗑️ Device removed:", req.params.deviceId);
+    res.json({ success: true, message: "Device removed successfully" });
+  } catch (err) {
+    console.error("❌ Error removing device:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,241 @@
+import express from "express";
+import mongoose from "mongoose";
+import { Firmware } from "../db/models.js";
+import { authenticateDevice } from "../middleware/auth.js";
+import {
+  acknowledgeCommand,
+  MAX_COMMAND_WAIT,
+  requeueCommand,
+  SERVERLESS_COMMAND_WAIT,
+  waitForCommand,
+} from "../services/commands.js";
+import { getConnectionStatus, recordContact } from "../services/deviceState.js";
+import {
+  parseRange,
+  recordDownload,
+  streamFirmware,
+} from "../services/firmware.js";
+import {
+  ACK_SCHEMA,
+  ingestAlert,
+  ingestBatch,
+  ingestReading,
+  ingestStatus,
+  parsePayload,
+} from "../services/ingest.js";
+
+const router = express.Router();
+
+// ========== ESP32 HTTP ENDPOINTS ==========
+// Every endpoint here requires the device's API key
+// ("Authorization: Bearer emk_..." or "X-API-Key: emk_...")
+
+// ✅ POST /api/sensors/data - Receive sensor data from ESP32
+router.post("/api/sensors/data", authenticateDevice, async (req, res) => {
+  try {
+    await ingestReading(req.deviceId, req.body);
+    res.json({ success: true, message: "Data saved successfully" });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ error: err.message, details: err.details });
+    }
+    console.error("❌ Error saving sensor data:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ POST /api/sensors/batch - Upload readings buffered while offline
+// Body: { bootId: "a1b2", millis: 600000, readings: [
+//   { temperature, humidity, ldr, timestamp: "2025-01-01T10:00:00Z" },
+//   { temperature, humidity, ldr, millis: 540000 } ] }
+// Replayed readings are skipped, so a failed upload can be resent as is
+router.post("/api/sensors/batch", authenticateDevice, async (req, res) => {
+  try {
+    const result = await ingestBatch(req.deviceId, req.body);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ error: err.message, details: err.details });
+    }
+    console.error("❌ Error saving sensor batch:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/device/commands - ESP32 polls for commands
+// Returns the oldest queued command and marks it delivered; the device
+// should report the outcome to /api/device/commands/:id/ack
+// Query params: wait (optional, seconds up to 30; cut to 8 on Vercel) -
+// long poll: hold the request open until a command is queued or the time
+// runs out, then answer { command: null }. Poll again straight after each
+// response. A command that doesn't reach a device that hung up is queued
+// again
+router.get("/api/device/commands", authenticateDevice, async (req, res) => {
+  try {
+    const wait = req.query.wait !== undefined ? Number(req.query.wait) : 0;
+    if (!(wait >= 0 && wait <= MAX_COMMAND_WAIT)) {
+      return res.status(400).json({
+        error: `Invalid wait. Use 0 to ${MAX_COMMAND_WAIT} seconds`,
+      });
+    }
+
+    // Update connection tracking
+    await recordContact(req.deviceId, "lastCommandPoll");
+
+    // Stop waiting if the device hangs up
+    const disconnected = new AbortController();
+    res.on("close", () => disconnected.abort());
+
+    const waitSeconds = process.env.VERCEL
+      ? Math.min(wait, SERVERLESS_COMMAND_WAIT)
+      : wait;
+    const command = await waitForCommand(req.deviceId, waitSeconds * 1000, {
+      signal: disconnected.signal,
+    });
+    if (!command) {
+      return res.json({ command: null });
+    }
+
+    // Put the command back if the device is gone before it's sent
+    const requeue = () =>
+      requeueCommand(req.deviceId, command._id).catch((err) =>
+        console.error("❌ Error requeueing command:", err)
+      );
+    const { totalCommandsSent } = await getConnectionStatus(req.deviceId);
+    if (disconnected.signal.aborted) {
+      return requeue();
+    }
+    res.on("close", () => {
+      if (!res.writableFinished) requeue();
+    });
+
+    console.log(`📤 Sending command to ${req.deviceId}:`, command.command);
+    console.log(`📊 Total commands sent: ${totalCommandsSent}`);
+    res.json({ command: command.command, commandId: command._id });
+  } catch (err) {
+    console.error("❌ Error getting command:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ POST /api/device/commands/:id/ack - ESP32 reports a command's result
+// Body: { success: true|false (default true), result: "Interval updated to: 30000" }
+router.post(
+  "/api/device/commands/:id/ack",
+  authenticateDevice,
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: "Command not found" });
+      }
+
+      const { success, result } = await parsePayload(
+        req.deviceId,
+        "ack",
+        ACK_SCHEMA,
+        req.body,
+        { allowEmpty: true }
+      );
+      const command = await acknowledgeCommand(req.deviceId, req.params.id, {
+        success: success !== false,
+        result,
+      });
+
+      if (!command) {
+        return res.status(404).json({ error: "Command not found" });
+      }
+
+      console.log(
+        `📬 Command ${command.command} ${command.status} by ${req.deviceId}:`,
+        command.result || ""
+      );
+      res.json({ success: true, status: command.status });
+    } catch (err) {
+      if (err.status) {
+        return res
+          .status(err.status)
+          .json({ error: err.message, details: err.details });
+      }
+      console.error("❌ Error acknowledging command:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ POST /api/device/status-update - Receive device status from ESP32
+// Devices send firmwareVersion and board, and while updating firmware
+// otaStatus ("downloading", "installing", "succeeded" or "failed"),
+// otaProgress (0-100) and otaError
+router.post(
+  "/api/device/status-update",
+  authenticateDevice,
+  async (req, res) => {
+    try {
+      await ingestStatus(req.deviceId, req.body);
+      res.json({ success: true, message: "Status updated successfully" });
+    } catch (err) {
+      if (err.status) {
+        return res
+          .status(err.status)
+          .json({ error: err.message, details: err.details });
+      }
+      console.error("❌ Error saving device status:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ POST /api/device/alerts - Receive alerts from ESP32
+// Body: { message, severity? ("info", "warning" or "critical") }
+router.post("/api/device/alerts", authenticateDevice, async (req, res) => {
+  try {
+    await ingestAlert(req.deviceId, req.body);
+    res.json({ success: true, message: "Alert saved successfully" });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ error: err.message, details: err.details });
+    }
+    console.error("❌ Error saving alert:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/device/firmware/:id - ESP32 downloads a firmware binary
+// The path comes from an "OTA:<path>" command. Supports Range requests
+// ("Range: bytes=65536-"), so an interrupted download can be resumed;
+// x-MD5 and X-Firmware-SHA256 carry the checksums
+router.get("/api/device/firmware/:id", authenticateDevice, async (req, res) => {
+  try {
+    const firmware = mongoose.isValidObjectId(req.params.id)
+      ? await Firmware.findById(req.params.id).lean()
+      : null;
+    if (!firmware) {
+      return res.status(404).json({ error: "Firmware not found" });
+    }
+
+    const range = parseRange(req.get("Range"), firmware.size);
+    if (range && range.error) {
+      res.set("Content-Range", `bytes */${firmware.size}`);
+      return res.status(416).json({ error: range.error });
+    }
+
+    if (!range || range.start === 0) {
+      await recordDownload(req.deviceId, firmware);
+      console.log(
+        `📦 ${req.deviceId} downloading ${firmware.board} ${firmware.version}`
+      );
+    }
+    streamFirmware(res, firmware, range);
+  } catch (err) {
+    console.error("❌ Error sending firmware:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
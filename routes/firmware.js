@@ -0,0 +1,328 @@
+import express from "express";
+import mongoose from "mongoose";
+import {
+  Device,
+  DeviceGroup,
+  Firmware,
+  FIRMWARE_UPDATE_STATUSES,
+  FirmwareRollout,
+  FirmwareUpdate,
+} from "../db/models.js";
+import { requireAdmin, requireUser } from "../middleware/auth.js";
+import {
+  applyRollout,
+  deleteFirmware,
+  MAX_FIRMWARE_SIZE,
+  parseFirmwareFields,
+  parseRolloutFields,
+  rollbackRollout,
+  storeFirmware,
+  summarizeUpdates,
+} from "../services/firmware.js";
+
+const router = express.Router();
+
+// ========== FIRMWARE (OTA) ENDPOINTS ==========
+// Binaries are uploaded with the admin token; rollouts assign a version to
+// one device, every device with a tag or every device in a group, and
+// queue "OTA:<path>" commands. Devices download from
+// GET /api/device/firmware/:id and report progress in their status updates
+
+const targetLabel = ({ deviceId, tag, groupId }) => {
+  if (deviceId) return deviceId;
+  return tag ? `tag ${tag}` : `group ${groupId}`;
+};
+
+const findRollout = (id) =>
+  mongoose.isValidObjectId(id) ? FirmwareRollout.findById(id) : null;
+
+// Rollout with its per-device updates, newest first
+const describeRollout = async (rollout) => {
+  const updates = await FirmwareUpdate.find({ rolloutId: rollout._id })
+    .sort({ createdAt: -1 })
+    .lean();
+  return {
+    ...rollout.toObject(),
+    summary: summarizeUpdates(updates),
+    updates,
+  };
+};
+
+// ✅ GET /api/firmware - List stored firmware, newest first
+// Query params: board (optional)
+router.get("/api/firmware", requireUser, async (req, res) => {
+  try {
+    const query = req.query.board ? { board: req.query.board } : {};
+    const firmware = await Firmware.find(query).sort({ createdAt: -1 });
+    res.json(firmware);
+  } catch (err) {
+    console.error("❌ Error fetching firmware:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ POST /api/firmware - Upload a firmware binary (admin token)
+// Body: the .bin file as application/octet-stream (up to 4 MB)
+// Query params: version, board, sha256 (optional, checked against the
+// upload), notes (optional)
+router.post(
+  "/api/firmware",
+  requireAdmin,
+  express.raw({ type: "application/octet-stream", limit: MAX_FIRMWARE_SIZE }),
+  async (req, res) => {
+    try {
+      const { fields, error } = parseFirmwareFields(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          error: "Send the binary as the body (application/octet-stream)",
+        });
+      }
+      if (
+        await Firmware.exists({ board: fields.board, version: fields.version })
+      ) {
+        return res.status(409).json({
+          error: `Firmware ${fields.version} for ${fields.board} already exists`,
+        });
+      }
+
+      const firmware = await storeFirmware(fields, req.body, req.user);
+      if (firmware.error) {
+        return res.status(400).json({ error: firmware.error });
+      }
+
+      console.log(
+        `📦 Firmware stored: ${firmware.board} ${firmware.version} ` +
+          `(${firmware.size} bytes)`
+      );
+      res.status(201).json(firmware);
+    } catch (err) {
+      console.error("❌ Error storing firmware:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ GET /api/firmware/rollouts - List rollouts, newest first
+// Query params: status, deviceId, tag, groupId (optional filters)
+router.get("/api/firmware/rollouts", requireUser, async (req, res) => {
+  try {
+    const { status, deviceId, tag, groupId } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (deviceId) query.deviceId = deviceId;
+    if (tag) query.tag = tag;
+    if (groupId) {
+      if (!mongoose.isValidObjectId(groupId)) {
+        return res.status(400).json({ error: "Invalid groupId" });
+      }
+      query.groupId = groupId;
+    }
+
+    const rollouts = await FirmwareRollout.find(query).sort({ createdAt: -1 });
+    res.json(rollouts);
+  } catch (err) {
+    console.error("❌ Error fetching rollouts:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ POST /api/firmware/rollouts - Assign a firmware version and start
+// updating devices
+// Body: { firmwareId, deviceId | tag | groupId, percentage? (1-100,
+// default 100) }
+// Only devices that reported the firmware's board are updated; the
+// response lists the updates queued and the devices skipped
+router.post("/api/firmware/rollouts", requireUser, async (req, res) => {
+  try {
+    const { fields, error } = parseRolloutFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const firmware = await Firmware.findById(fields.firmwareId).lean();
+    if (!firmware) {
+      return res.status(400).json({ error: "Firmware not found" });
+    }
+    if (
+      fields.deviceId &&
+      !(await Device.exists({ deviceId: fields.deviceId }))
+    ) {
+      return res.status(400).json({ error: "Device not found" });
+    }
+    if (
+      fields.groupId &&
+      !(await DeviceGroup.exists({ _id: fields.groupId }))
+    ) {
+      return res.status(400).json({ error: "Group not found" });
+    }
+
+    const rollout = await FirmwareRollout.create({
+      ...fields,
+      version: firmware.version,
+      board: firmware.board,
+      createdBy: req.user,
+      updatedAt: new Date(),
+    });
+    const { queued, skipped } = await applyRollout(rollout);
+
+    console.log(
+      `📦 Rollout created: ${rollout.board} ${rollout.version} to ` +
+        `${targetLabel(rollout)} (${rollout.percentage}%)`
+    );
+    res.status(201).json({ rollout, queued, skipped });
+  } catch (err) {
+    console.error("❌ Error creating rollout:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/firmware/rollouts/:id - Rollout with per-device progress
+router.get("/api/firmware/rollouts/:id", requireUser, async (req, res) => {
+  try {
+    const rollout = await findRollout(req.params.id);
+    if (!rollout) {
+      return res.status(404).json({ error: "Rollout not found" });
+    }
+    res.json(await describeRollout(rollout));
+  } catch (err) {
+    console.error("❌ Error fetching rollout:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ PATCH /api/firmware/rollouts/:id - Widen, pause or resume a rollout
+// Body: { percentage?, paused? }. Devices already updated stay updated
+// when the percentage goes down. Every PATCH re-applies an active rollout,
+// which also picks up devices that joined its tag or group since
+router.patch("/api/firmware/rollouts/:id", requireUser, async (req, res) => {
+  try {
+    const { fields, error } = parseRolloutFields(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rollout = await findRollout(req.params.id);
+    if (!rollout) {
+      return res.status(404).json({ error: "Rollout not found" });
+    }
+    if (rollout.status === "rolled_back") {
+      return res.status(409).json({ error: "Rollout was rolled back" });
+    }
+
+    rollout.set({ ...fields, updatedAt: new Date() });
+    await rollout.save();
+    const { queued, skipped } = await applyRollout(rollout);
+
+    console.log(
+      `✏️ Rollout updated: ${rollout.board} ${rollout.version} ` +
+        `(${rollout.percentage}%, ${rollout.status})`
+    );
+    res.json({ rollout, queued, skipped });
+  } catch (err) {
+    console.error("❌ Error updating rollout:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ POST /api/firmware/rollouts/:id/rollback - Roll a rollout back
+// Cancels updates not downloaded yet and sends updated devices back to the
+// version they ran before (which must still be stored)
+router.post(
+  "/api/firmware/rollouts/:id/rollback",
+  requireUser,
+  async (req, res) => {
+    try {
+      const rollout = await findRollout(req.params.id);
+      if (!rollout) {
+        return res.status(404).json({ error: "Rollout not found" });
+      }
+      if (rollout.status === "rolled_back") {
+        return res
+          .status(409)
+          .json({ error: "Rollout was already rolled back" });
+      }
+
+      const result = await rollbackRollout(rollout);
+      res.json({ success: true, ...result });
+    } catch (err) {
+      console.error("❌ Error rolling back rollout:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ GET /api/firmware/updates - Firmware update history, newest first
+// Query params: deviceId, status (optional filters), limit
+router.get("/api/firmware/updates", requireUser, async (req, res) => {
+  try {
+    const { deviceId, status, limit } = req.query;
+    const query = {};
+    if (deviceId) query.deviceId = deviceId;
+    if (status) {
+      if (!FIRMWARE_UPDATE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `Invalid status. Use: ${FIRMWARE_UPDATE_STATUSES.join(", ")}`,
+        });
+      }
+      query.status = status;
+    }
+
+    const updates = await FirmwareUpdate.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit ? parseInt(limit) : 50);
+    res.json(updates);
+  } catch (err) {
+    console.error("❌ Error fetching firmware updates:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/firmware/:id - Get a single firmware's metadata
+router.get("/api/firmware/:id", requireUser, async (req, res) => {
+  try {
+    const firmware = mongoose.isValidObjectId(req.params.id)
+      ? await Firmware.findById(req.params.id)
+      : null;
+    if (!firmware) {
+      return res.status(404).json({ error: "Firmware not found" });
+    }
+    res.json(firmware);
+  } catch (err) {
+    console.error("❌ Error fetching firmware:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ DELETE /api/firmware/:id - Delete a firmware binary (admin token)
+// Refused while a rollout that isn't rolled back uses it; keep the
+// versions devices may need to roll back to
+router.delete("/api/firmware/:id", requireAdmin, async (req, res) => {
+  try {
+    const firmware = mongoose.isValidObjectId(req.params.id)
+      ? await Firmware.findById(req.params.id).lean()
+      : null;
+    if (!firmware) {
+      return res.status(404).json({ error: "Firmware not found" });
+    }
+    if (
+      await FirmwareRollout.exists({
+        firmwareId: firmware._id,
+        status: { $ne: "rolled_back" },
+      })
+    ) {
+      return res.status(409).json({ error: "Firmware is used by a rollout" });
+    }
+
+    await deleteFirmware(firmware);
+    console.log(`🗑️ Firmware deleted: ${firmware.board} ${firmware.version}`);
+    res.json({ success: true, message: "Firmware deleted successfully" });
+  } catch (err) {
+    console.error("❌ Error deleting firmware:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,308 @@
+import express from "express";
+import mongoose from "mongoose";
+import {
+  Device,
+  DeviceGroup,
+  FirmwareRollout,
+  Schedule,
+} from "../db/models.js";
+import { requireUser } from "../middleware/auth.js";
+import {
+  describeBatch,
+  parseGroupFields,
+  sendGroupCommand,
+  summarizeGroups,
+} from "../services/groups.js";
+import { convertReading, parseUnits } from "../utils/units.js";
+
+const router = express.Router();
+
+// ========== DEVICE GROUP ENDPOINTS ==========
+// Groups such as "Greenhouse A" collect devices (a device can be in several)
+// and say where they are. Schedules and firmware rollouts can target a
+// group with groupId, and /api/sensors/aggregate takes a groupId too
+
+const findGroup = (id) =>
+  mongoose.isValidObjectId(id) ? DeviceGroup.findById(id) : null;
+
+// ✅ GET /api/groups - List groups
+router.get("/api/groups", async (req, res) => {
+  try {
+    const groups = await DeviceGroup.find().sort({ name: 1 });
+    res.json(groups);
+  } catch (err) {
+    console.error("❌ Error fetching groups:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/groups/summary - Overview of every group
+// Per group: members online and offline (with when offline ones were last
+// seen) and the average of the online members' latest readings
+// Query params: units (optional, e.g. "F,lux")
+router.get("/api/groups/summary", async (req, res) => {
+  try {
+    const parsedUnits = parseUnits(req.query.units);
+    if (parsedUnits.error) {
+      return res.status(400).json({ error: parsedUnits.error });
+    }
+    const { units } = parsedUnits;
+
+    const groups = await DeviceGroup.find().sort({ name: 1 }).lean();
+    const summaries = await summarizeGroups(groups);
+    res.json({
+      units,
+      groups: summaries.map((summary) => ({
+        ...summary,
+        averages: convertReading(summary.averages, units),
+      })),
+    });
+  } catch (err) {
+    console.error("❌ Error summarizing groups:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/groups/:id - Get a group, its members and their status
+router.get("/api/groups/:id", async (req, res) => {
+  try {
+    const group = await findGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    const devices = await Device.find({ groupIds: group._id }).sort({
+      deviceId: 1,
+    });
+    const [summary] = await summarizeGroups([group]);
+    res.json({ ...group.toObject(), devices, summary });
+  } catch (err) {
+    console.error("❌ Error fetching group:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ POST /api/groups - Create a group
+// Body: { name, description?, location?: { site, building, floor, room,
+//   latitude, longitude } }
+router.post("/api/groups", requireUser, async (req, res) => {
+  try {
+    const { fields, error, details } = parseGroupFields(req.body);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    if (await DeviceGroup.exists({ name: fields.name })) {
+      return res.status(409).json({ error: "Group already exists" });
+    }
+
+    const group = await DeviceGroup.create({
+      ...fields,
+      createdBy: req.user,
+      updatedAt: new Date(),
+    });
+
+    console.log("🆕 Group created:", group.name);
+    res.status(201).json(group);
+  } catch (err) {
+    console.error("❌ Error creating group:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ PATCH /api/groups/:id - Update name, description or location
+router.patch("/api/groups/:id", requireUser, async (req, res) => {
+  try {
+    const { fields, error, details } = parseGroupFields(req.body, {
+      partial: true,
+    });
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    const group = await findGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    if (
+      fields.name &&
+      fields.name !== group.name &&
+      (await DeviceGroup.exists({ name: fields.name }))
+    ) {
+      return res.status(409).json({ error: "Group already exists" });
+    }
+
+    group.set({ ...fields, updatedAt: new Date() });
+    await group.save();
+
+    console.log("✏️ Group updated:", group.name);
+    res.json(group);
+  } catch (err) {
+    console.error("❌ Error updating group:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ DELETE /api/groups/:id - Delete a group
+// Its devices stay registered. Refused while a schedule or a rollout that
+// isn't rolled back targets the group
+router.delete("/api/groups/:id", requireUser, async (req, res) => {
+  try {
+    const group = await findGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    if (await Schedule.exists({ groupId: group._id })) {
+      return res.status(409).json({ error: "Group is used by a schedule" });
+    }
+    if (
+      await FirmwareRollout.exists({
+        groupId: group._id,
+        status: { $ne: "rolled_back" },
+      })
+    ) {
+      return res.status(409).json({ error: "Group is used by a rollout" });
+    }
+
+    await Device.updateMany(
+      { groupIds: group._id },
+      { $pull: { groupIds: group._id } }
+    );
+    await DeviceGroup.deleteOne({ _id: group._id });
+
+    console.log("🗑️ Group deleted:", group.name);
+    res.json({ success: true, message: "Group deleted successfully" });
+  } catch (err) {
+    console.error("❌ Error deleting group:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ POST /api/groups/:id/devices - Add devices to a group
+// Body: { deviceIds: ["esp32-01", "esp32-02"] }
+router.post("/api/groups/:id/devices", requireUser, async (req, res) => {
+  try {
+    const { deviceIds } = req.body;
+    if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
+      return res.status(400).json({ error: "deviceIds must be a list" });
+    }
+
+    const group = await findGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    const ids = deviceIds.map(String);
+    const found = await Device.find({ deviceId: { $in: ids } }).distinct(
+      "deviceId"
+    );
+    const missing = ids.filter((deviceId) => !found.includes(deviceId));
+    if (missing.length > 0) {
+      return res
+        .status(400)
+        .json({ error: `Device not found: ${missing.join(", ")}` });
+    }
+
+    await Device.updateMany(
+      { deviceId: { $in: ids } },
+      { $addToSet: { groupIds: group._id } }
+    );
+
+    console.log(`➕ Added ${ids.length} device(s) to group "${group.name}"`);
+    res.json({ success: true, message: "Devices added to group" });
+  } catch (err) {
+    console.error("❌ Error adding devices to group:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ DELETE /api/groups/:id/devices/:deviceId - Remove a device from a group
+router.delete(
+  "/api/groups/:id/devices/:deviceId",
+  requireUser,
+  async (req, res) => {
+    try {
+      const group = await findGroup(req.params.id);
+      if (!group) {
+        return res.status(404).json({ error: "Group not found" });
+      }
+
+      const result = await Device.updateOne(
+        { deviceId: req.params.deviceId, groupIds: group._id },
+        { $pull: { groupIds: group._id } }
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({ error: "Device is not in this group" });
+      }
+
+      console.log(
+        `➖ Removed ${req.params.deviceId} from group "${group.name}"`
+      );
+      res.json({ success: true, message: "Device removed from group" });
+    } catch (err) {
+      console.error("❌ Error removing device from group:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ POST /api/groups/:id/commands - Send a command to every device in a group
+// Body: { command, ttl? (seconds before an undelivered command expires) }
+// Commands are checked like POST /api/device/command; devices whose
+// firmware doesn't have the command are listed as skipped. Follow delivery
+// with GET /api/groups/:id/commands/:batchId
+router.post("/api/groups/:id/commands", requireUser, async (req, res) => {
+  try {
+    const { command, ttl } = req.body;
+    if (ttl !== undefined && !(Number(ttl) > 0)) {
+      return res.status(400).json({ error: "Invalid ttl" });
+    }
+
+    const group = await findGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    const result = await sendGroupCommand(group, command, {
+      user: req.user,
+      ttl: ttl !== undefined ? Number(ttl) * 1000 : undefined,
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    if (result.devices.length === 0) {
+      return res.status(400).json({ error: "Group has no devices" });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("❌ Error sending group command:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/groups/:id/commands/:batchId - Delivery status of a group
+// command, per device
+router.get(
+  "/api/groups/:id/commands/:batchId",
+  requireUser,
+  async (req, res) => {
+    try {
+      const { id, batchId } = req.params;
+      const batch =
+        mongoose.isValidObjectId(id) && mongoose.isValidObjectId(batchId)
+          ? await describeBatch(id, batchId)
+          : null;
+      if (!batch) {
+        return res.status(404).json({ error: "Group command not found" });
+      }
+      res.json(batch);
+    } catch (err) {
+      console.error("❌ Error fetching group command:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,224 @@
+import express from "express";
+import mongoose from "mongoose";
+import {
+  ALERT_SEVERITIES,
+  NotificationChannel,
+  NOTIFICATION_CHANNEL_TYPES,
+  NotificationDelivery,
+} from "../db/models.js";
+import { requireUser } from "../middleware/auth.js";
+import notifiers from "../notifiers/index.js";
+import {
+  buildAlertPayload,
+  deliverToChannel,
+} from "../services/notifications.js";
+
+const router = express.Router();
+
+// ========== NOTIFICATION ENDPOINTS ==========
+// Channel configs may hold secrets, so every route requires a user token
+
+// Pick channel fields out of a request body and check them against the
+// channel type. Returns { fields } or { error }
+const parseChannelFields = (body, type) => {
+  const fields = {};
+  ["name", "config", "severities", "ruleIds", "enabled"].forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (!NOTIFICATION_CHANNEL_TYPES.includes(type)) {
+    return {
+      error: `Invalid type. Use: ${NOTIFICATION_CHANNEL_TYPES.join(", ")}`,
+    };
+  }
+  if (fields.config !== undefined) {
+    if (typeof fields.config !== "object" || Array.isArray(fields.config)) {
+      return { error: "config must be an object" };
+    }
+    const configError = notifiers[type].validateConfig(fields.config);
+    if (configError) {
+      return { error: configError };
+    }
+  }
+  if (
+    fields.severities !== undefined &&
+    (!Array.isArray(fields.severities) ||
+      !fields.severities.every((s) => ALERT_SEVERITIES.includes(s)))
+  ) {
+    return {
+      error: `severities must be a list of: ${ALERT_SEVERITIES.join(", ")}`,
+    };
+  }
+  if (
+    fields.ruleIds !== undefined &&
+    (!Array.isArray(fields.ruleIds) ||
+      !fields.ruleIds.every((id) => mongoose.isValidObjectId(id)))
+  ) {
+    return { error: "ruleIds must be a list of rule ids" };
+  }
+
+  return { fields };
+};
+
+const findChannel = (id) =>
+  mongoose.isValidObjectId(id) ? NotificationChannel.findById(id) : null;
+
+// ✅ GET /api/notifications/channels - List notification channels
+router.get("/api/notifications/channels", requireUser, async (req, res) => {
+  try {
+    const channels = await NotificationChannel.find().sort({ createdAt: -1 });
+    res.json(channels);
+  } catch (err) {
+    console.error("❌ Error fetching notification channels:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ POST /api/notifications/channels - Create a notification channel
+// Body example: { name: "On-call webhook", type: "webhook",
+//   config: { url: "https://example.com/hook", secret: "..." },
+//   severities: ["critical"] }
+router.post("/api/notifications/channels", requireUser, async (req, res) => {
+  try {
+    // Validate an empty config too, so required settings are caught
+    const { fields, error } = parseChannelFields(
+      { config: {}, ...req.body },
+      req.body.type
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!fields.name) {
+      return res.status(400).json({ error: "name is required" });
+    }
+
+    const channel = new NotificationChannel({
+      ...fields,
+      type: req.body.type,
+    });
+    await channel.save();
+
+    console.log(`📣 Notification channel created: ${channel.name}`);
+    res.status(201).json(channel);
+  } catch (err) {
+    console.error("❌ Error creating notification channel:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ PATCH /api/notifications/channels/:id - Update a channel
+// (the type can't be changed; create a new channel instead)
+router.patch(
+  "/api/notifications/channels/:id",
+  requireUser,
+  async (req, res) => {
+    try {
+      const channel = await findChannel(req.params.id);
+      if (!channel) {
+        return res.status(404).json({ error: "Channel not found" });
+      }
+
+      const { fields, error } = parseChannelFields(req.body, channel.type);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      channel.set(fields);
+      await channel.save();
+
+      console.log(`✏️ Notification channel updated: ${channel.name}`);
+      res.json(channel);
+    } catch (err) {
+      console.error("❌ Error updating notification channel:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ DELETE /api/notifications/channels/:id - Delete a channel
+router.delete(
+  "/api/notifications/channels/:id",
+  requireUser,
+  async (req, res) => {
+    try {
+      const channel = mongoose.isValidObjectId(req.params.id)
+        ? await NotificationChannel.findByIdAndDelete(req.params.id)
+        : null;
+      if (!channel) {
+        return res.status(404).json({ error: "Channel not found" });
+      }
+
+      console.log(`🗑️ Notification channel deleted: ${channel.name}`);
+      res.json({ success: true, message: "Channel deleted successfully" });
+    } catch (err) {
+      console.error("❌ Error deleting notification channel:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ POST /api/notifications/channels/:id/test - Send a test notification
+// Waits for the delivery (including retries) and returns its log entry
+router.post(
+  "/api/notifications/channels/:id/test",
+  requireUser,
+  async (req, res) => {
+    try {
+      const channel = await findChannel(req.params.id);
+      if (!channel) {
+        return res.status(404).json({ error: "Channel not found" });
+      }
+
+      const payload = buildAlertPayload(
+        {
+          deviceId: req.body.deviceId || "test-device",
+          message: `Test notification from Enviromoon (${channel.name})`,
+          severity: "info",
+          source: "rule",
+          state: "open",
+          timestamp: new Date(),
+        },
+        { test: true }
+      );
+      const delivery = await deliverToChannel(channel, payload, {
+        test: true,
+      });
+
+      res.status(delivery.status === "success" ? 200 : 502).json(delivery);
+    } catch (err) {
+      console.error("❌ Error sending test notification:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ✅ GET /api/notifications/deliveries - Delivery log, newest first
+// Query params: channelId, alertId, status (success|failed), limit
+router.get("/api/notifications/deliveries", requireUser, async (req, res) => {
+  try {
+    const { channelId, alertId, status, limit } = req.query;
+    const query = {};
+
+    for (const [field, value] of [
+      ["channelId", channelId],
+      ["alertId", alertId],
+    ]) {
+      if (value === undefined) continue;
+      if (!mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ error: `Invalid ${field}` });
+      }
+      query[field] = value;
+    }
+    if (status) query.status = status;
+
+    const deliveries = await NotificationDelivery.find(query)
+      .sort({ timestamp: -1 })
+      .limit(limit ? parseInt(limit) : 100);
+    res.json(deliveries);
+  } catch (err) {
+    console.error("❌ Error fetching notification deliveries:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,241 @@
+import express from "express";
+import mongoose from "mongoose";
+import {
+  ALERT_SEVERITIES,
+  Rule,
+  RuleState,
+  RULE_METRICS,
+  RULE_OPERATORS,
+  RULE_THRESHOLD_FIELDS,
+} from "../db/models.js";
+import { requireUser } from "../middleware/auth.js";
+import { isValidDeviceId } from "../services/devices.js";
+import { isValidTimeOfDay } from "../services/rules.js";
+import { isValidTimezone } from "../utils/time.js";
+
+const router = express.Router();
+
+// ========== ALERT RULE ENDPOINTS ==========
+
+const RULE_FIELDS = [
+  "name",
+  "deviceId",
+  "metric",
+  "operator",
+  "threshold",
+  "thresholdField",
+  "duration",
+  "hysteresis",
+  "cooldown",
+  "severity",
+  "activeFrom",
+  "activeTo",
+  "timezone",
+  "enabled",
+];
+
+// Pick rule fields out of a request body and check them
+// Returns { fields } or { error }
+const parseRuleFields = (body) => {
+  const fields = {};
+  RULE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (fields.name !== undefined) {
+    if (typeof fields.name !== "string" || !fields.name.trim()) {
+      return { error: "Invalid name" };
+    }
+    fields.name = fields.name.trim();
+  }
+
+  if (fields.deviceId !== undefined && fields.deviceId !== null) {
+    if (!isValidDeviceId(fields.deviceId)) {
+      return { error: "Invalid deviceId" };
+    }
+  }
+  if (fields.metric !== undefined && !RULE_METRICS.includes(fields.metric)) {
+    return { error: `Invalid metric. Use: ${RULE_METRICS.join(", ")}` };
+  }
+  if (
+    fields.operator !== undefined &&
+    !RULE_OPERATORS.includes(fields.operator)
+  ) {
+    return { error: `Invalid operator. Use: ${RULE_OPERATORS.join(", ")}` };
+  }
+  if (
+    fields.thresholdField !== undefined &&
+    fields.thresholdField !== null &&
+    !RULE_THRESHOLD_FIELDS.includes(fields.thresholdField)
+  ) {
+    return {
+      error: `Invalid thresholdField. Use: ${RULE_THRESHOLD_FIELDS.join(", ")}`,
+    };
+  }
+  if (
+    fields.severity !== undefined &&
+    !ALERT_SEVERITIES.includes(fields.severity)
+  ) {
+    return { error: `Invalid severity. Use: ${ALERT_SEVERITIES.join(", ")}` };
+  }
+
+  for (const field of ["threshold", "duration", "hysteresis", "cooldown"]) {
+    if (fields[field] === undefined || fields[field] === null) continue;
+    const value = Number(fields[field]);
+    if (!Number.isFinite(value) || (field !== "threshold" && value < 0)) {
+      return { error: `Invalid ${field}` };
+    }
+    fields[field] = value;
+  }
+
+  for (const field of ["activeFrom", "activeTo"]) {
+    if (fields[field] && !isValidTimeOfDay(fields[field])) {
+      return { error: `Invalid ${field}. Use HH:MM (24-hour)` };
+    }
+  }
+  if (fields.timezone !== undefined && !isValidTimezone(fields.timezone)) {
+    return { error: "Invalid timezone" };
+  }
+
+  return { fields };
+};
+
+// Save errors that are the request's fault, as { status, error }, or null
+const describeSaveError = (err) => {
+  if (err.code === 11000) {
+    return { status: 409, error: "Rule already exists" };
+  }
+  if (err.name === "ValidationError") {
+    return { status: 400, error: err.message };
+  }
+  return null;
+};
+
+// A rule needs either a fixed threshold or a device status field
+const hasThreshold = (rule) =>
+  (rule.threshold !== undefined && rule.threshold !== null) ||
+  Boolean(rule.thresholdField);
+
+// ✅ GET /api/rules - List alert rules
+// Query params: deviceId (optional; includes rules for every device)
+router.get("/api/rules", async (req, res) => {
+  try {
+    const { deviceId } = req.query;
+    const query = deviceId ? { $or: [{ deviceId }, { deviceId: null }] } : {};
+
+    const rules = await Rule.find(query).sort({ createdAt: -1 });
+    res.json(rules);
+  } catch (err) {
+    console.error("❌ Error fetching rules:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/rules/:id - Get a single rule
+router.get("/api/rules/:id", async (req, res) => {
+  try {
+    const rule = mongoose.isValidObjectId(req.params.id)
+      ? await Rule.findById(req.params.id)
+      : null;
+    if (!rule) {
+      return res.status(404).json({ error: "Rule not found" });
+    }
+    res.json(rule);
+  } catch (err) {
+    console.error("❌ Error fetching rule:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ POST /api/rules - Create an alert rule
+// Body example: { name: "Too hot", metric: "temperature", operator: ">",
+//   threshold: 30, duration: 300, hysteresis: 1, cooldown: 900,
+//   severity: "critical" }
+router.post("/api/rules", requireUser, async (req, res) => {
+  try {
+    const { fields, error } = parseRuleFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!fields.name || !fields.metric || !fields.operator) {
+      return res
+        .status(400)
+        .json({ error: "name, metric and operator are required" });
+    }
+    if (!hasThreshold(fields)) {
+      return res
+        .status(400)
+        .json({ error: "Either threshold or thresholdField is required" });
+    }
+
+    const rule = new Rule(fields);
+    await rule.save();
+
+    console.log("📏 Alert rule created:", rule.name);
+    res.status(201).json(rule);
+  } catch (err) {
+    const saveError = describeSaveError(err);
+    if (saveError) {
+      return res.status(saveError.status).json({ error: saveError.error });
+    }
+    console.error("❌ Error creating rule:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ PATCH /api/rules/:id - Update an alert rule (e.g. { enabled: false })
+router.patch("/api/rules/:id", requireUser, async (req, res) => {
+  try {
+    const { fields, error } = parseRuleFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rule = mongoose.isValidObjectId(req.params.id)
+      ? await Rule.findById(req.params.id)
+      : null;
+    if (!rule) {
+      return res.status(404).json({ error: "Rule not found" });
+    }
+
+    rule.set(fields);
+    if (!hasThreshold(rule)) {
+      return res
+        .status(400)
+        .json({ error: "Either threshold or thresholdField is required" });
+    }
+    await rule.save();
+
+    console.log("✏️ Alert rule updated:", rule.name);
+    res.json(rule);
+  } catch (err) {
+    const saveError = describeSaveError(err);
+    if (saveError) {
+      return res.status(saveError.status).json({ error: saveError.error });
+    }
+    console.error("❌ Error updating rule:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ DELETE /api/rules/:id - Delete an alert rule
+router.delete("/api/rules/:id", requireUser, async (req, res) => {
+  try {
+    const rule = mongoose.isValidObjectId(req.params.id)
+      ? await Rule.findByIdAndDelete(req.params.id)
+      : null;
+    if (!rule) {
+      return res.status(404).json({ error: "Rule not found" });
+    }
+
+    await RuleState.deleteMany({ ruleId: rule._id });
+    console.log("🗑️ Alert rule deleted:", rule.name);
+    res.json({ success: true, message: "Rule deleted successfully" });
+  } catch (err) {
+    console.error("❌ Error deleting rule:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
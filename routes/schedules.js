@@ -0,0 +1,200 @@
+import express from "express";
+import mongoose from "mongoose";
+import { Device, DeviceGroup, Schedule } from "../db/models.js";
+import { requireAdmin, requireUser } from "../middleware/auth.js";
+import { checkDeviceCommand } from "../services/commandCatalog.js";
+import {
+  checkSchedule,
+  computeNextRun,
+  parseScheduleFields,
+  runDueSchedules,
+} from "../services/schedules.js";
+
+const router = express.Router();
+
+// ========== SCHEDULE ENDPOINTS ==========
+// Schedules queue a command on a cron expression or once at a given time,
+// for one device, every device with a tag or every device in a group.
+// server.js fires them every 15 seconds; on serverless deployments call
+// POST /api/schedules/tick from a cron job instead
+
+const findSchedule = (id) =>
+  mongoose.isValidObjectId(id) ? Schedule.findById(id) : null;
+
+// ✅ GET /api/schedules - List schedules
+// Query params: deviceId, tag, groupId, enabled (optional filters)
+router.get("/api/schedules", requireUser, async (req, res) => {
+  try {
+    const { deviceId, tag, groupId, enabled } = req.query;
+    const query = {};
+    if (deviceId) query.deviceId = deviceId;
+    if (tag) query.tag = tag;
+    if (groupId) {
+      if (!mongoose.isValidObjectId(groupId)) {
+        return res.status(400).json({ error: "Invalid groupId" });
+      }
+      query.groupId = groupId;
+    }
+    if (enabled !== undefined) query.enabled = enabled === "true";
+
+    const schedules = await Schedule.find(query).sort({ createdAt: -1 });
+    res.json(schedules);
+  } catch (err) {
+    console.error("❌ Error fetching schedules:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ GET /api/schedules/:id - Get a single schedule
+// Its commands are listed by GET /api/commands?scheduleId=<id>
+router.get("/api/schedules/:id", requireUser, async (req, res) => {
+  try {
+    const schedule = await findSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    res.json(schedule);
+  } catch (err) {
+    console.error("❌ Error fetching schedule:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Check that a schedule's device or group exists and that the device's
+// firmware has the command. Returns an error message or null
+const checkScheduleTarget = async ({ deviceId, groupId, command }) => {
+  if (deviceId && !(await Device.exists({ deviceId }))) {
+    return "Device not found";
+  }
+  if (groupId && !(await DeviceGroup.exists({ _id: groupId }))) {
+    return "Group not found";
+  }
+  if (deviceId) {
+    const parsed = await checkDeviceCommand(deviceId, command);
+    if (parsed.error) return parsed.error;
+  }
+  return null;
+};
+
+// ✅ POST /api/schedules - Create a schedule
+// Body examples:
+//   { name: "Night interval", deviceId: "esp32-01", command: "INTERVAL:60000",
+//     cron: "0 22 * * *", timezone: "Europe/Berlin" }
+//   { name: "Weekend lights off", tag: "office", command: "LIGHT:OFF",
+//     cron: "0 0 * * 6" }
+//   { name: "Greenhouse readings", groupId: "<group id>", command: "READ",
+//     cron: "*/30 * * * *" }
+//   { name: "One reading", deviceId: "esp32-01", command: "READ",
+//     runAt: "2027-01-01T08:00:00Z" }
+// Optional: ttl (seconds before an undelivered command expires), enabled
+router.post("/api/schedules", requireUser, async (req, res) => {
+  try {
+    const { fields, error } = parseScheduleFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!fields.name || !fields.command) {
+      return res.status(400).json({ error: "name and command are required" });
+    }
+    const invalid = checkSchedule(fields);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (fields.runAt && fields.runAt <= new Date()) {
+      return res.status(400).json({ error: "runAt must be in the future" });
+    }
+    const invalidTarget = await checkScheduleTarget(fields);
+    if (invalidTarget) {
+      return res.status(400).json({ error: invalidTarget });
+    }
+
+    const schedule = new Schedule({ ...fields, createdBy: req.user });
+    schedule.nextRunAt = computeNextRun(schedule);
+    await schedule.save();
+
+    console.log("⏰ Schedule created:", schedule.name);
+    res.status(201).json(schedule);
+  } catch (err) {
+    console.error("❌ Error creating schedule:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ PATCH /api/schedules/:id - Update a schedule
+// { enabled: false } pauses it, { enabled: true } resumes it from now on.
+// Checked like POST; a one-off schedule given a new runAt, or re-enabled,
+// needs its runAt in the future
+router.patch("/api/schedules/:id", requireUser, async (req, res) => {
+  try {
+    const { fields, error } = parseScheduleFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const schedule = await findSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    schedule.set(fields);
+    const invalid = checkSchedule(schedule);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (
+      schedule.runAt &&
+      (fields.runAt !== undefined || fields.enabled === true) &&
+      schedule.runAt <= new Date()
+    ) {
+      return res.status(400).json({ error: "runAt must be in the future" });
+    }
+    if (["deviceId", "groupId", "command"].some((field) => field in fields)) {
+      const invalidTarget = await checkScheduleTarget(schedule);
+      if (invalidTarget) {
+        return res.status(400).json({ error: invalidTarget });
+      }
+    }
+    schedule.nextRunAt = computeNextRun(schedule);
+    await schedule.save();
+
+    console.log("✏️ Schedule updated:", schedule.name);
+    res.json(schedule);
+  } catch (err) {
+    console.error("❌ Error updating schedule:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ DELETE /api/schedules/:id - Delete a schedule
+// Commands it already queued stay in the command history
+router.delete("/api/schedules/:id", requireUser, async (req, res) => {
+  try {
+    const schedule = mongoose.isValidObjectId(req.params.id)
+      ? await Schedule.findByIdAndDelete(req.params.id)
+      : null;
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    console.log("🗑️ Schedule deleted:", schedule.name);
+    res.json({ success: true, message: "Schedule deleted successfully" });
+  } catch (err) {
+    console.error("❌ Error deleting schedule:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ POST /api/schedules/tick - Fire due schedules now
+// Requires ADMIN_API_TOKEN, like the other jobs meant for cron callers
+router.post("/api/schedules/tick", requireAdmin, async (req, res) => {
+  try {
+    const fired = await runDueSchedules();
+    res.json({ success: true, fired });
+  } catch (err) {
+    console.error("❌ Error running schedules:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,51 @@
+import express from "express";
+import {
+  matchesSubscription,
+  parseSubscription,
+  subscribe,
+} from "../services/stream.js";
+
+const router = express.Router();
+
+// ========== LIVE STREAM ENDPOINTS ==========
+
+const KEEP_ALIVE_INTERVAL = 25000; // Stop proxies closing idle streams
+
+// ✅ GET /api/stream - Server-Sent Events stream of live updates
+// Query params: deviceId ("a" or "a,b"), types ("reading,alert,status,connection")
+// Each message has an event name equal to its type and a JSON body:
+// { type, deviceId, data, timestamp }
+router.get("/api/stream", (req, res) => {
+  const { filter, error } = parseSubscription(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const unsubscribe = subscribe((event) => {
+    if (matchesSubscription(filter, event)) {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  });
+  const keepAlive = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    KEEP_ALIVE_INTERVAL
+  );
+
+  console.log("📺 Live stream client connected");
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+    console.log("📺 Live stream client disconnected");
+  });
+});
+
+export default router;
@@ -0,0 +1,87 @@
+import { parsePeriod } from "../utils/time.js";
+import {
+  buildTierPipeline,
+  combineRollupStages,
+  getWatermarks,
+  selectTier,
+  SENSOR_METRICS,
+} from "./rollups.js";
+
+// Refuse queries that would produce more buckets than a chart can use
+export const MAX_BUCKETS = 5000;
+
+const BUCKET_UNITS = { m: "minute", h: "hour", d: "day" };
+
+// Parse a bucket size like "1m", "5m", "1h" or "1d" into the $dateTrunc
+// unit and bin size, or null if it isn't valid
+export const parseBucket = (bucket) => {
+  const match = typeof bucket === "string" && bucket.match(/^(\d+)([mhd])$/);
+  if (!match || parseInt(match[1]) === 0) {
+    return null;
+  }
+
+  return {
+    unit: BUCKET_UNITS[match[2]],
+    binSize: parseInt(match[1]),
+    ms: parsePeriod(bucket),
+  };
+};
+
+const round = (value) =>
+  typeof value === "number" ? Math.round(value * 100) / 100 : value;
+
+// ✅ Downsample readings into time buckets with avg/min/max per metric.
+// Bucket boundaries are computed in `timezone`, so "1d" buckets start at
+// local midnight. Reads raw data or a rollup tier, whichever still covers
+// `start` and fits the bucket size (see selectTier). With `excludeFlagged`,
+// readings flagged by the sensor-health checks are left out; rollups
+// include them, so only raw readings are read.
+// Returns { tier, data }
+export const aggregateReadings = async ({
+  filter = {},
+  start,
+  end,
+  bucket,
+  timezone = "UTC",
+  perDevice = false,
+  excludeFlagged = false,
+}) => {
+  const { unit, binSize, ms } = parseBucket(bucket);
+  const tier = excludeFlagged
+    ? "raw"
+    : selectTier({ start, bucketMs: ms, timezone });
+
+  // `end` is inclusive here; tier pipelines take an exclusive end
+  const { model, pipeline } = buildTierPipeline(
+    tier,
+    {
+      filter: excludeFlagged
+        ? { ...filter, quality: { $ne: "suspect" } }
+        : filter,
+      start,
+      end: new Date(end.getTime() + 1),
+    },
+    await getWatermarks()
+  );
+  const rows = await model.aggregate([
+    ...pipeline,
+    ...combineRollupStages({ unit, binSize, timezone }, { perDevice }),
+    { $sort: { bucket: 1, deviceId: 1 } },
+  ]);
+
+  const data = rows.map((row) => {
+    const result = { bucket: row.bucket };
+    if (perDevice) result.deviceId = row.deviceId;
+    result.count = row.count;
+
+    SENSOR_METRICS.forEach((metric) => {
+      result[metric] = {
+        avg: round(row[metric].avg),
+        min: row[metric].min,
+        max: row[metric].max,
+      };
+    });
+    return result;
+  });
+  return { tier, data };
+};
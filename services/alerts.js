@@ -0,0 +1,26 @@
+import { Alert } from "../db/models.js";
+import { notifyAlert } from "./notifications.js";
+import { publishEvent } from "./stream.js";
+
+// Save a new alert, whether the device reported it or a rule raised it
+export const createAlert = async (fields) => {
+  const alert = new Alert(fields);
+  await alert.save();
+  publishEvent("alert", alert.deviceId, alert);
+
+  // Notify in the background so a slow webhook or SMTP server doesn't
+  // hold up the device's request. On Vercel the function may be frozen
+  // once the response is sent, so there the request waits for delivery,
+  // which is a single short attempt per channel (see deliverToChannel)
+  const notifying = notifyAlert(alert).catch((err) =>
+    console.error("❌ Error sending alert notifications:", err)
+  );
+  if (process.env.VERCEL) await notifying;
+
+  return alert;
+};
+
+// Alerts saved before the lifecycle fields existed have no state; treat
+// them as open
+export const buildStateFilter = (state) =>
+  state === "open" ? { $in: ["open", null] } : state;
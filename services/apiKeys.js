@@ -0,0 +1,70 @@
+import crypto from "crypto";
+import { ApiKey } from "../db/models.js";
+import { registerDevice } from "./devices.js";
+
+// Keys look like "emk_<keyId>.<secret>"; the keyId is used for lookup and
+// the whole key is compared against the stored SHA-256 hash
+const KEY_PATTERN = /^emk_([a-f0-9]{16})\.([A-Za-z0-9_-]{43})$/;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+// Constant-time comparison of two strings
+export const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+};
+
+// Issue a new API key for a device. The plain key is only returned here
+export const issueApiKey = async (deviceId, label) => {
+  await registerDevice(deviceId);
+
+  const keyId = crypto.randomBytes(8).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const key = `emk_${keyId}.${secret}`;
+
+  const apiKey = new ApiKey({
+    keyId,
+    deviceId,
+    keyHash: hashKey(key),
+    label,
+  });
+  await apiKey.save();
+
+  return { key, apiKey };
+};
+
+// Look up the active API key matching a plain key, or null
+export const verifyApiKey = async (key) => {
+  const match = typeof key === "string" && key.match(KEY_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({
+    keyId: match[1],
+    revokedAt: null,
+  }).select("+keyHash");
+
+  if (!apiKey || !safeEqual(apiKey.keyHash, hashKey(key))) {
+    return null;
+  }
+
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { lastUsedAt: new Date() } }
+  ).catch((err) => console.error("❌ Error updating API key usage:", err));
+
+  return apiKey;
+};
+
+// Revoke one of a device's keys; returns the key or null if not found
+export const revokeApiKey = async (deviceId, keyId) =>
+  ApiKey.findOneAndUpdate(
+    { deviceId, keyId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
@@ -0,0 +1,225 @@
+import { CalibrationProfile, SensorData } from "../db/models.js";
+import { derivedMetricsStage } from "./derived.js";
+import { invalidateRollups } from "./rollups.js";
+
+// Metrics corrected with a linear offset/gain, and the range each
+// calibrated value is kept within
+const LINEAR_METRICS = {
+  temperature: { min: -Infinity, max: Infinity },
+  humidity: { min: 0, max: 100 },
+};
+
+const RAW_METRICS = ["temperature", "humidity", "ldr"];
+
+const MAX_CURVE_POINTS = 32;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Check a calibration body: { temperature?: { offset?, gain? },
+// humidity?: { offset?, gain? }, ldrCurve?: [{ adc, lux }, ...] }
+// Returns { fields } or { error }
+export const parseCalibration = (body) => {
+  const fields = {};
+
+  for (const metric of Object.keys(LINEAR_METRICS)) {
+    if (body[metric] === undefined || body[metric] === null) continue;
+    if (typeof body[metric] !== "object") {
+      return { error: `${metric} must be an object with offset and gain` };
+    }
+    const offset = body[metric].offset === undefined ? 0 : body[metric].offset;
+    const gain = body[metric].gain === undefined ? 1 : body[metric].gain;
+    if (!isNumber(offset) || Math.abs(offset) > 50) {
+      return { error: `Invalid ${metric}.offset. Use a number from -50 to 50` };
+    }
+    if (!isNumber(gain) || gain < 0.5 || gain > 2) {
+      return { error: `Invalid ${metric}.gain. Use a number from 0.5 to 2` };
+    }
+    fields[metric] = { offset, gain };
+  }
+
+  if (body.ldrCurve !== undefined && body.ldrCurve !== null) {
+    const curve = body.ldrCurve;
+    if (
+      !Array.isArray(curve) ||
+      curve.length < 2 ||
+      curve.length > MAX_CURVE_POINTS
+    ) {
+      return {
+        error: `ldrCurve must list 2 to ${MAX_CURVE_POINTS} { adc, lux } points`,
+      };
+    }
+    for (const point of curve) {
+      if (
+        !point ||
+        !Number.isInteger(point.adc) ||
+        point.adc < 0 ||
+        point.adc > 4095 ||
+        !isNumber(point.lux) ||
+        point.lux < 0
+      ) {
+        return {
+          error: "Invalid ldrCurve point. Use adc 0-4095 and lux >= 0",
+        };
+      }
+    }
+    const points = curve
+      .map(({ adc, lux }) => ({ adc, lux }))
+      .sort((a, b) => a.adc - b.adc);
+    if (new Set(points.map((point) => point.adc)).size !== points.length) {
+      return { error: "ldrCurve points must have different adc values" };
+    }
+    fields.ldrCurve = points;
+  }
+
+  return { fields };
+};
+
+// Lux for an ADC count, interpolated linearly between the curve's points;
+// counts outside the curve get the value at its nearest end
+export const interpolateLux = (curve, adc) => {
+  if (adc <= curve[0].adc) return curve[0].lux;
+  for (let i = 1; i < curve.length; i++) {
+    const low = curve[i - 1];
+    const high = curve[i];
+    if (adc <= high.adc) {
+      return round(
+        low.lux +
+          ((adc - low.adc) * (high.lux - low.lux)) / (high.adc - low.adc)
+      );
+    }
+  }
+  return curve[curve.length - 1].lux;
+};
+
+const hasCurve = (profile) =>
+  Boolean(profile && profile.ldrCurve && profile.ldrCurve.length >= 2);
+
+// Reading with the profile applied: `raw` keeps the values as sent,
+// temperature and humidity are corrected and lux is added. Works without a
+// profile too (values are then stored unchanged)
+export const applyCalibration = (profile, reading) => {
+  const calibrated = { ...reading, raw: {} };
+  RAW_METRICS.forEach((metric) => {
+    if (reading[metric] !== undefined) calibrated.raw[metric] = reading[metric];
+  });
+
+  Object.entries(LINEAR_METRICS).forEach(([metric, { min, max }]) => {
+    if (reading[metric] === undefined || !profile || !profile[metric]) return;
+    const { offset = 0, gain = 1 } = profile[metric];
+    const value = round(reading[metric] * gain + offset);
+    calibrated[metric] = Math.min(max, Math.max(min, value));
+  });
+
+  if (reading.ldr !== undefined && hasCurve(profile)) {
+    calibrated.lux = interpolateLux(profile.ldrCurve, reading.ldr);
+  }
+  return calibrated;
+};
+
+export const getCalibration = (deviceId) =>
+  CalibrationProfile.findOne({ deviceId }).lean();
+
+// Calibrate readings from a device at ingest (one profile lookup for all)
+export const calibrateReadings = async (deviceId, readings) => {
+  const profile = await getCalibration(deviceId);
+  return readings.map((reading) => applyCalibration(profile, reading));
+};
+
+// Same calibration as an update pipeline expression, for reprocessing
+// stored readings from their raw values
+const linearExpression = (metric, profile) => {
+  const source = `$raw.${metric}`;
+  const { min, max } = LINEAR_METRICS[metric];
+  const { offset = 0, gain = 1 } = (profile && profile[metric]) || {};
+
+  let value = {
+    $round: [{ $add: [{ $multiply: [source, gain] }, offset] }, 2],
+  };
+  if (Number.isFinite(min)) value = { $max: [min, value] };
+  if (Number.isFinite(max)) value = { $min: [max, value] };
+  return { $cond: [{ $isNumber: source }, value, "$$REMOVE"] };
+};
+
+const luxExpression = (profile) => {
+  if (!hasCurve(profile)) return "$$REMOVE";
+
+  const curve = profile.ldrCurve;
+  const branches = [
+    { case: { $lte: ["$raw.ldr", curve[0].adc] }, then: curve[0].lux },
+  ];
+  for (let i = 1; i < curve.length; i++) {
+    const low = curve[i - 1];
+    const high = curve[i];
+    const slope = (high.lux - low.lux) / (high.adc - low.adc);
+    branches.push({
+      case: { $lte: ["$raw.ldr", high.adc] },
+      then: {
+        $round: [
+          {
+            $add: [
+              low.lux,
+              { $multiply: [{ $subtract: ["$raw.ldr", low.adc] }, slope] },
+            ],
+          },
+          2,
+        ],
+      },
+    });
+  }
+  return {
+    $cond: [
+      { $isNumber: "$raw.ldr" },
+      { $switch: { branches, default: curve[curve.length - 1].lux } },
+      "$$REMOVE",
+    ],
+  };
+};
+
+// ✅ Re-apply the device's current calibration to stored readings between
+// start and end (both optional), from their raw values. Readings stored
+// before calibration existed have no `raw` yet; their values are taken as
+// raw. Derived metrics are recomputed too. Rollups are recomputed from the
+// earliest matching reading, as far back as raw readings are still kept.
+// Returns { matched, modified }
+export const reprocessReadings = async (deviceId, { start, end } = {}) => {
+  const filter = { deviceId };
+  if (start || end) {
+    filter.timestamp = {};
+    if (start) filter.timestamp.$gte = start;
+    if (end) filter.timestamp.$lte = end;
+  }
+
+  const first = await SensorData.findOne(filter, { timestamp: 1 })
+    .sort({ timestamp: 1 })
+    .lean();
+  if (!first) return { matched: 0, modified: 0 };
+
+  const profile = await getCalibration(deviceId);
+  const result = await SensorData.updateMany(filter, [
+    {
+      $set: {
+        raw: Object.fromEntries(
+          RAW_METRICS.map((metric) => [
+            metric,
+            { $ifNull: [`$raw.${metric}`, `$${metric}`, "$$REMOVE"] },
+          ])
+        ),
+      },
+    },
+    {
+      $set: {
+        temperature: linearExpression("temperature", profile),
+        humidity: linearExpression("humidity", profile),
+        lux: luxExpression(profile),
+      },
+    },
+    derivedMetricsStage(),
+  ]);
+
+  if (result.modifiedCount > 0) {
+    await invalidateRollups(first.timestamp);
+  }
+  return { matched: result.matchedCount, modified: result.modifiedCount };
+};
@@ -0,0 +1,208 @@
+import { Device } from "../db/models.js";
+import { validatePayload } from "../utils/schema.js";
+import { queueCommand } from "./commands.js";
+import { CONFIG_SCHEMA, setDesiredConfig } from "./config.js";
+
+const ON_OFF = { type: "string", enum: ["ON", "OFF"] };
+
+// Version of the Enviromoon.ino sketch, the oldest firmware
+export const BASE_FIRMWARE_VERSION = "1.0.0";
+
+// Commands the firmware understands, written "NAME" or "NAME:<arg>".
+// `since` is the first firmware version with the command: 1.0.0 is the
+// Enviromoon.ino command set, 2.0.0 the networked ESP32 firmware that also
+// reports its LED, offsets and light threshold. `setting` is the config
+// field the command changes (see services/config.js). "OTA:<path>" is
+// left out: only firmware rollouts queue it (see services/firmware.js)
+export const COMMAND_CATALOG = {
+  READ: { description: "Take and send a reading now", since: "1.0.0" },
+  STATUS: { description: "Send a status update", since: "1.0.0" },
+  INTERVAL: {
+    description: "Set the sampling interval",
+    arg: { name: "ms", ...CONFIG_SCHEMA.samplingInterval },
+    setting: "samplingInterval",
+    since: "1.0.0",
+  },
+  TEMP: {
+    description: "Turn temperature/humidity readings on or off",
+    arg: { name: "state", ...ON_OFF },
+    setting: "tempHumidityEnabled",
+    since: "1.0.0",
+  },
+  LIGHT: {
+    description: "Turn light (LDR) readings on or off",
+    arg: { name: "state", ...ON_OFF },
+    setting: "lightEnabled",
+    since: "1.0.0",
+  },
+  LED: {
+    description: "Turn the status LED on or off",
+    arg: { name: "state", ...ON_OFF },
+    setting: "ledState",
+    since: "2.0.0",
+  },
+  TEMP_OFFSET: {
+    description: "Set the on-device temperature offset (°C)",
+    arg: { name: "offset", ...CONFIG_SCHEMA.temperatureOffset },
+    setting: "temperatureOffset",
+    since: "2.0.0",
+  },
+  HUM_OFFSET: {
+    description: "Set the on-device humidity offset (%)",
+    arg: { name: "offset", ...CONFIG_SCHEMA.humidityOffset },
+    setting: "humidityOffset",
+    since: "2.0.0",
+  },
+  LIGHT_THRESHOLD: {
+    description: "Set the LDR level the firmware treats as dark",
+    arg: { name: "level", ...CONFIG_SCHEMA.lightThreshold },
+    setting: "lightThreshold",
+    since: "2.0.0",
+  },
+};
+
+const COMMAND_NAMES = Object.keys(COMMAND_CATALOG);
+
+// Firmware version as [major, minor, patch], or null if it isn't one
+const parseVersion = (version) => {
+  const match = String(version || "").match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  return match ? match.slice(1).map((part) => parseInt(part || "0")) : null;
+};
+
+// Whether firmware `version` has the command. Devices that haven't
+// reported a version (or report one that doesn't parse) only get the
+// base command set
+export const isCommandAvailable = (name, version) => {
+  const current = parseVersion(version) || parseVersion(BASE_FIRMWARE_VERSION);
+
+  const since = parseVersion(COMMAND_CATALOG[name].since);
+  for (let i = 0; i < 3; i++) {
+    if (current[i] !== since[i]) return current[i] > since[i];
+  }
+  return true;
+};
+
+const describeArg = ({ name, type, min, max, enum: values }) => {
+  if (values) return `${name} (${values.join(" or ")})`;
+  return `${name} (${type} from ${min} to ${max})`;
+};
+
+// Check a command string against the catalogue (case-insensitive, like
+// the sketch). Returns { command, name, value } with the command in
+// canonical form, e.g. "interval:5000" -> "INTERVAL:5000", or { error }
+export const parseCommand = (command) => {
+  if (typeof command !== "string" || !command.trim()) {
+    return { error: "Command is required" };
+  }
+
+  const text = command.trim().toUpperCase();
+  const separator = text.indexOf(":");
+  const name = separator === -1 ? text : text.slice(0, separator);
+  const raw = separator === -1 ? undefined : text.slice(separator + 1).trim();
+
+  const entry = COMMAND_CATALOG[name];
+  if (!entry) {
+    return {
+      error: `Unknown command "${name}". Use: ${COMMAND_NAMES.join(", ")}`,
+    };
+  }
+
+  if (!entry.arg) {
+    if (raw !== undefined) return { error: `${name} takes no argument` };
+    return { command: name, name };
+  }
+  if (!raw) {
+    return { error: `${name} needs ${describeArg(entry.arg)}` };
+  }
+
+  const { name: argName, ...spec } = entry.arg;
+  const { value, errors } = validatePayload(
+    { [argName]: { ...spec, required: true } },
+    { [argName]: raw }
+  );
+  if (errors.length > 0) {
+    return { error: `Invalid ${name}: ${argName} ${errors[0].message}` };
+  }
+  return {
+    command: `${name}:${value[argName]}`,
+    name,
+    value: value[argName],
+  };
+};
+
+// Firmware version the device last reported, or null
+export const getFirmwareVersion = async (deviceId) => {
+  const device = await Device.findOne(
+    { deviceId },
+    { firmwareVersion: 1 }
+  ).lean();
+  return (device && device.firmwareVersion) || null;
+};
+
+// Check a command for one device: valid, and known to its firmware.
+// Returns { command, name, value } or { error }
+export const checkDeviceCommand = async (deviceId, command) => {
+  const parsed = parseCommand(command);
+  if (parsed.error) return parsed;
+
+  const version = await getFirmwareVersion(deviceId);
+  if (!isCommandAvailable(parsed.name, version)) {
+    return {
+      error: `${parsed.name} needs firmware ${
+        COMMAND_CATALOG[parsed.name].since
+      } or later (${deviceId} ${
+        version ? `runs ${version}` : "hasn't reported its firmware version"
+      })`,
+    };
+  }
+  return parsed;
+};
+
+// Setting a parsed command changes, as { field, value }, or null
+export const commandSetting = ({ name, value }) => {
+  const { setting } = COMMAND_CATALOG[name];
+  if (!setting) return null;
+  return {
+    field: setting,
+    value: CONFIG_SCHEMA[setting].type === "boolean" ? value === "ON" : value,
+  };
+};
+
+// Queue a parsed command. One that changes a setting updates the desired
+// config instead (which queues it), so config reconciliation doesn't undo
+// it. Options: user, plus the options of queueCommand.
+// Returns the queued command
+export const sendCommand = async (deviceId, parsed, { user, ...options }) => {
+  const setting = commandSetting(parsed);
+  if (!setting) {
+    return queueCommand(deviceId, parsed.command, options);
+  }
+
+  const {
+    commands: [queued],
+  } = await setDesiredConfig(
+    deviceId,
+    { [setting.field]: setting.value },
+    { user, ...options }
+  );
+  return queued;
+};
+
+// The catalogue for the discovery endpoint; with a firmware version, each
+// command says whether that version has it
+export const describeCatalog = (version) =>
+  COMMAND_NAMES.map((name) => {
+    const { description, arg, setting, since } = COMMAND_CATALOG[name];
+    const entry = {
+      name,
+      syntax: arg ? `${name}:<${arg.name}>` : name,
+      description,
+      args: arg ? [arg] : [],
+      since,
+    };
+    if (setting) entry.setting = setting;
+    if (version !== undefined) {
+      entry.available = isCommandAvailable(name, version);
+    }
+    return entry;
+  });
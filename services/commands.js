@@ -0,0 +1,146 @@
+import { Command, DeviceConnection } from "../db/models.js";
+import { httpError } from "../utils/errors.js";
+import { deviceEvents } from "./deviceState.js";
+
+// Queued commands not picked up within this time are expired
+export const DEFAULT_COMMAND_TTL = 60 * 60 * 1000; // 1 hour
+
+// Queue a command for a device; commands are delivered oldest first
+export const queueCommand = async (
+  deviceId,
+  command,
+  { ttl = DEFAULT_COMMAND_TTL, scheduleId, groupId, batchId } = {}
+) => {
+  const newCommand = new Command({
+    deviceId,
+    command,
+    expiresAt: new Date(Date.now() + ttl),
+    scheduleId,
+    groupId,
+    batchId,
+  });
+  await newCommand.save();
+
+  deviceEvents.emit("command", deviceId);
+  return newCommand;
+};
+
+// Mark queued commands whose expiry has passed as expired
+export const expireCommands = async (deviceId) => {
+  const query = { status: "queued", expiresAt: { $lte: new Date() } };
+  if (deviceId) query.deviceId = deviceId;
+
+  const result = await Command.updateMany(query, {
+    $set: { status: "expired" },
+  });
+  return result.modifiedCount;
+};
+
+// Take the device's oldest queued command and mark it delivered,
+// or null if there is none
+export const takeCommand = async (deviceId) => {
+  await expireCommands(deviceId);
+
+  const command = await Command.findOneAndUpdate(
+    { deviceId, status: "queued" },
+    { $set: { status: "delivered", deliveredAt: new Date() } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+  if (command) {
+    await DeviceConnection.updateOne(
+      { deviceId },
+      { $inc: { totalCommandsSent: 1 } },
+      { upsert: true }
+    );
+  }
+  return command;
+};
+
+// Put a command taken with takeCommand back in the queue, e.g. because it
+// never reached the device. Does nothing once the device has acknowledged it
+export const requeueCommand = async (deviceId, commandId) => {
+  const result = await Command.updateOne(
+    { _id: commandId, deviceId, status: "delivered" },
+    { $set: { status: "queued" }, $unset: { deliveredAt: "" } }
+  );
+  if (result.modifiedCount > 0) {
+    await DeviceConnection.updateOne(
+      { deviceId },
+      { $inc: { totalCommandsSent: -1 } }
+    );
+  }
+  return result.modifiedCount > 0;
+};
+
+// Longest a device may hold a command poll open, in seconds. Kept well
+// under CONNECTION_TIMEOUT so a waiting device still counts as connected
+export const MAX_COMMAND_WAIT = 30;
+
+// On Vercel, waits are cut to this so the request ends before the
+// function's default 10-second limit
+export const SERVERLESS_COMMAND_WAIT = 8;
+
+// How often a waiting poll re-checks MongoDB, for commands queued by
+// other instances (commands queued by this one wake it straight away)
+const COMMAND_WAIT_RECHECK = 5000;
+
+// Take the device's oldest queued command, waiting up to `wait` ms for one
+// to be queued. Stops early, returning null, when `signal` aborts (e.g. the
+// device disconnected); a command taken as it aborts goes back in the
+// queue. Resolves to the command or null
+export const waitForCommand = async (deviceId, wait, { signal } = {}) => {
+  const deadline = Date.now() + wait;
+
+  while (!(signal && signal.aborted)) {
+    const command = await takeCommand(deviceId);
+    if (command && signal && signal.aborted) {
+      await requeueCommand(deviceId, command._id);
+      return null;
+    }
+
+    const remaining = deadline - Date.now();
+    if (command || remaining <= 0) return command;
+
+    await new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        deviceEvents.off("command", onCommand);
+        if (signal) signal.removeEventListener("abort", done);
+        resolve();
+      };
+      const onCommand = (queuedFor) => {
+        if (queuedFor === deviceId) done();
+      };
+      const timer = setTimeout(done, Math.min(remaining, COMMAND_WAIT_RECHECK));
+      deviceEvents.on("command", onCommand);
+      if (signal) signal.addEventListener("abort", done);
+    });
+  }
+  return null;
+};
+
+// Record the device's result for a delivered command
+// Returns null if the command doesn't exist for this device, or throws
+// if it has already been acknowledged, failed or expired
+export const acknowledgeCommand = async (
+  deviceId,
+  commandId,
+  { success = true, result } = {}
+) => {
+  const command = await Command.findOne({ _id: commandId, deviceId });
+  if (!command) {
+    return null;
+  }
+
+  if (command.status !== "queued" && command.status !== "delivered") {
+    throw httpError(409, `Command is already ${command.status}`);
+  }
+
+  command.status = success ? "acknowledged" : "failed";
+  command.acknowledgedAt = new Date();
+  if (result !== undefined) command.result = String(result);
+  await command.save();
+
+  return command;
+};
@@ -0,0 +1,153 @@
+import { Command, DeviceConfig } from "../db/models.js";
+import { queueCommand } from "./commands.js";
+
+// Settings a device reports in its status and can be told to change.
+// Validation rules match the status payload
+export const CONFIG_SCHEMA = {
+  samplingInterval: { type: "integer", min: 1000, max: 86400000 },
+  ledState: { type: "boolean" },
+  temperatureOffset: { type: "number", min: -20, max: 20 },
+  humidityOffset: { type: "number", min: -20, max: 20 },
+  lightThreshold: { type: "integer", min: 0, max: 4095 },
+  tempHumidityEnabled: { type: "boolean" },
+  lightEnabled: { type: "boolean" },
+};
+
+const onOff = (value) => (value ? "ON" : "OFF");
+
+// Command that applies each setting on the device
+export const CONFIG_COMMANDS = {
+  samplingInterval: (value) => `INTERVAL:${value}`,
+  ledState: (value) => `LED:${onOff(value)}`,
+  temperatureOffset: (value) => `TEMP_OFFSET:${value}`,
+  humidityOffset: (value) => `HUM_OFFSET:${value}`,
+  lightThreshold: (value) => `LIGHT_THRESHOLD:${value}`,
+  tempHumidityEnabled: (value) => `TEMP:${onOff(value)}`,
+  lightEnabled: (value) => `LIGHT:${onOff(value)}`,
+};
+
+// Don't re-send a setting more often than this while the device keeps
+// reporting a different value
+export const RECONCILE_RETRY_DELAY = 5 * 60 * 1000; // 5 minutes
+
+const CONFIG_FIELDS = Object.keys(CONFIG_SCHEMA);
+
+// Desired vs reported settings, with the fields that differ.
+// A field the device hasn't reported yet is listed with reported: null
+export const describeConfig = (deviceId, config) => {
+  const desired = (config && config.desired) || {};
+  const reported = (config && config.reported) || {};
+
+  const drift = [];
+  CONFIG_FIELDS.forEach((field) => {
+    if (desired[field] === undefined || desired[field] === null) return;
+    if (reported[field] !== desired[field]) {
+      drift.push({
+        field,
+        desired: desired[field],
+        reported: reported[field] === undefined ? null : reported[field],
+      });
+    }
+  });
+
+  return {
+    deviceId,
+    desired,
+    reported,
+    reportedAt: (config && config.reportedAt) || null,
+    updatedAt: (config && config.updatedAt) || null,
+    updatedBy: (config && config.updatedBy) || null,
+    inSync: drift.length === 0,
+    drift,
+  };
+};
+
+// Store desired settings (null clears one) and queue the commands that
+// apply them (`ttl` and `scheduleId` are passed to queueCommand).
+// Returns { config, commands }
+export const setDesiredConfig = async (
+  deviceId,
+  changes,
+  { user, ...commandOptions } = {}
+) => {
+  const update = {
+    $set: { updatedAt: new Date(), updatedBy: user || null },
+    $unset: {},
+  };
+  Object.entries(changes).forEach(([field, value]) => {
+    if (value === null) {
+      update.$unset[`desired.${field}`] = "";
+    } else {
+      update.$set[`desired.${field}`] = value;
+    }
+  });
+  if (Object.keys(update.$unset).length === 0) delete update.$unset;
+
+  const config = await DeviceConfig.findOneAndUpdate({ deviceId }, update, {
+    upsert: true,
+    new: true,
+    lean: true,
+  });
+
+  const commands = [];
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === null) continue;
+    commands.push(
+      await queueCommand(
+        deviceId,
+        CONFIG_COMMANDS[field](value),
+        commandOptions
+      )
+    );
+  }
+  return { config, commands };
+};
+
+// Record the settings in a status report and re-queue commands for any
+// that still differ from the desired config. Never throws: a failure
+// here shouldn't reject the status update
+export const reconcileConfig = async (deviceId, statusData) => {
+  try {
+    const reported = {};
+    CONFIG_FIELDS.forEach((field) => {
+      if (statusData[field] !== undefined) {
+        reported[`reported.${field}`] = statusData[field];
+      }
+    });
+    if (Object.keys(reported).length === 0) return [];
+
+    const config = await DeviceConfig.findOneAndUpdate(
+      { deviceId },
+      { $set: { ...reported, reportedAt: new Date() } },
+      { upsert: true, new: true, lean: true }
+    );
+
+    // Only fields in this report count; others may come in a later one
+    const { drift } = describeConfig(deviceId, config);
+    const queued = [];
+    for (const { field, desired } of drift) {
+      if (statusData[field] === undefined) continue;
+
+      const command = CONFIG_COMMANDS[field](desired);
+      const recent = await Command.exists({
+        deviceId,
+        command,
+        $or: [
+          { status: "queued" },
+          { createdAt: { $gte: new Date(Date.now() - RECONCILE_RETRY_DELAY) } },
+        ],
+      });
+      if (recent) continue;
+
+      queued.push(await queueCommand(deviceId, command));
+      console.log(
+        `🔁 Config drift on ${deviceId}: ${field} is ${statusData[field]}, ` +
+          `want ${desired}; re-queued ${command}`
+      );
+    }
+    return queued;
+  } catch (err) {
+    console.error(`❌ Error reconciling config for ${deviceId}:`, err);
+    return [];
+  }
+};
@@ -0,0 +1,305 @@
+import { DERIVED_METRICS } from "../db/models.js";
+
+// Environmental metrics derived from (calibrated) temperature in °C and
+// relative humidity in %. They are stored with each reading, so history,
+// rollups, aggregates and rules see them like measured values.
+// Each formula is written twice: in JS for ingest, and as an aggregation
+// expression for reprocessing stored readings. Keep the two in step
+
+// Magnus coefficients (Sonntag 1990), valid from -45 °C to 60 °C
+const B = 17.62;
+const C = 243.12;
+
+const round = (value, decimals) =>
+  Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Saturation vapour pressure in hPa
+const saturationPressure = (t) => 6.112 * Math.exp((B * t) / (C + t));
+
+const dewPoint = (t, rh) => {
+  if (rh <= 0) return null;
+  const gamma = Math.log(rh / 100) + (B * t) / (C + t);
+  return (C * gamma) / (B - gamma);
+};
+
+// NWS heat index (Rothfusz regression with its low/high humidity
+// adjustments, simple formula below 80 °F), the same algorithm as the
+// DHT sensor library
+const heatIndex = (t, rh) => {
+  const f = t * 1.8 + 32;
+  let index = 0.5 * (f + 61 + (f - 68) * 1.2 + rh * 0.094);
+
+  if ((index + f) / 2 >= 80) {
+    index =
+      -42.379 +
+      2.04901523 * f +
+      10.14333127 * rh -
+      0.22475541 * f * rh -
+      0.00683783 * f * f -
+      0.05481717 * rh * rh +
+      0.00122874 * f * f * rh +
+      0.00085282 * f * rh * rh -
+      0.00000199 * f * f * rh * rh;
+
+    if (rh < 13 && f >= 80 && f <= 112) {
+      index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(f - 95)) / 17);
+    } else if (rh > 85 && f >= 80 && f <= 87) {
+      index += ((rh - 85) / 10) * ((87 - f) / 5);
+    }
+  }
+  return (index - 32) / 1.8;
+};
+
+// Water vapour in g/m³
+const absoluteHumidity = (t, rh) =>
+  (216.7 * ((saturationPressure(t) * rh) / 100)) / (273.15 + t);
+
+// Vapour-pressure deficit in kPa
+const vaporPressureDeficit = (t, rh) =>
+  (saturationPressure(t) * (1 - rh / 100)) / 10;
+
+// Derived values for a temperature and humidity; metrics that can't be
+// computed (e.g. dew point at 0 % humidity) are left out
+export const computeDerived = (temperature, humidity) => {
+  const derived = {};
+  if (typeof temperature !== "number" || typeof humidity !== "number") {
+    return derived;
+  }
+
+  const dew = dewPoint(temperature, humidity);
+  if (dew !== null) {
+    derived.dewPoint = round(dew, 2);
+    derived.dewPointSpread = round(temperature - dew, 2);
+  }
+  derived.heatIndex = round(heatIndex(temperature, humidity), 2);
+  derived.absoluteHumidity = round(absoluteHumidity(temperature, humidity), 2);
+  derived.vpd = round(vaporPressureDeficit(temperature, humidity), 3);
+  return derived;
+};
+
+// Reading with its derived metrics added (stale ones dropped)
+export const withDerivedMetrics = (reading) => {
+  const result = { ...reading };
+  DERIVED_METRICS.forEach((metric) => delete result[metric]);
+  return {
+    ...result,
+    ...computeDerived(reading.temperature, reading.humidity),
+  };
+};
+
+// ----- Aggregation expressions (same formulas) -----
+
+const T = "$$t";
+const RH = "$$rh";
+
+const saturationPressureExpr = {
+  $multiply: [
+    6.112,
+    { $exp: { $divide: [{ $multiply: [B, T] }, { $add: [C, T] }] } },
+  ],
+};
+
+const gammaExpr = {
+  $add: [
+    { $ln: { $divide: [RH, 100] } },
+    { $divide: [{ $multiply: [B, T] }, { $add: [C, T] }] },
+  ],
+};
+
+const dewPointExpr = {
+  $let: {
+    vars: { gamma: gammaExpr },
+    in: {
+      $divide: [{ $multiply: [C, "$$gamma"] }, { $subtract: [B, "$$gamma"] }],
+    },
+  },
+};
+
+const heatIndexExpr = {
+  $let: {
+    vars: { f: { $add: [{ $multiply: [T, 1.8] }, 32] } },
+    in: {
+      $let: {
+        vars: {
+          simple: {
+            $multiply: [
+              0.5,
+              {
+                $add: [
+                  "$$f",
+                  61,
+                  { $multiply: [{ $subtract: ["$$f", 68] }, 1.2] },
+                  { $multiply: [RH, 0.094] },
+                ],
+              },
+            ],
+          },
+          regression: {
+            $add: [
+              -42.379,
+              { $multiply: [2.04901523, "$$f"] },
+              { $multiply: [10.14333127, RH] },
+              { $multiply: [-0.22475541, "$$f", RH] },
+              { $multiply: [-0.00683783, "$$f", "$$f"] },
+              { $multiply: [-0.05481717, RH, RH] },
+              { $multiply: [0.00122874, "$$f", "$$f", RH] },
+              { $multiply: [0.00085282, "$$f", RH, RH] },
+              { $multiply: [-0.00000199, "$$f", "$$f", RH, RH] },
+            ],
+          },
+        },
+        in: {
+          $divide: [
+            {
+              $subtract: [
+                {
+                  $cond: [
+                    {
+                      $lt: [
+                        { $divide: [{ $add: ["$$simple", "$$f"] }, 2] },
+                        80,
+                      ],
+                    },
+                    "$$simple",
+                    {
+                      $switch: {
+                        branches: [
+                          {
+                            case: {
+                              $and: [
+                                { $lt: [RH, 13] },
+                                { $gte: ["$$f", 80] },
+                                { $lte: ["$$f", 112] },
+                              ],
+                            },
+                            then: {
+                              $subtract: [
+                                "$$regression",
+                                {
+                                  $multiply: [
+                                    { $divide: [{ $subtract: [13, RH] }, 4] },
+                                    {
+                                      $sqrt: {
+                                        $divide: [
+                                          {
+                                            $subtract: [
+                                              17,
+                                              {
+                                                $abs: {
+                                                  $subtract: ["$$f", 95],
+                                                },
+                                              },
+                                            ],
+                                          },
+                                          17,
+                                        ],
+                                      },
+                                    },
+                                  ],
+                                },
+                              ],
+                            },
+                          },
+                          {
+                            case: {
+                              $and: [
+                                { $gt: [RH, 85] },
+                                { $gte: ["$$f", 80] },
+                                { $lte: ["$$f", 87] },
+                              ],
+                            },
+                            then: {
+                              $add: [
+                                "$$regression",
+                                {
+                                  $multiply: [
+                                    { $divide: [{ $subtract: [RH, 85] }, 10] },
+                                    {
+                                      $divide: [{ $subtract: [87, "$$f"] }, 5],
+                                    },
+                                  ],
+                                },
+                              ],
+                            },
+                          },
+                        ],
+                        default: "$$regression",
+                      },
+                    },
+                  ],
+                },
+                32,
+              ],
+            },
+            1.8,
+          ],
+        },
+      },
+    },
+  },
+};
+
+const absoluteHumidityExpr = {
+  $divide: [
+    {
+      $multiply: [
+        216.7,
+        { $divide: [{ $multiply: [saturationPressureExpr, RH] }, 100] },
+      ],
+    },
+    { $add: [273.15, T] },
+  ],
+};
+
+const vpdExpr = {
+  $divide: [
+    {
+      $multiply: [
+        saturationPressureExpr,
+        { $subtract: [1, { $divide: [RH, 100] }] },
+      ],
+    },
+    10,
+  ],
+};
+
+// Wrap an expression of $$t and $$rh: computed from the document's
+// temperature and humidity, or removed when either is missing (or the
+// humidity is 0 for the dew point metrics)
+const fromReading = (expression, { needsHumidity = false } = {}) => {
+  const conditions = [
+    { $isNumber: "$temperature" },
+    { $isNumber: "$humidity" },
+  ];
+  if (needsHumidity) conditions.push({ $gt: ["$humidity", 0] });
+  return {
+    $cond: [
+      { $and: conditions },
+      {
+        $let: {
+          vars: { t: "$temperature", rh: "$humidity" },
+          in: expression,
+        },
+      },
+      "$$REMOVE",
+    ],
+  };
+};
+
+// Update pipeline stage recomputing every derived metric from the
+// document's temperature and humidity
+export const derivedMetricsStage = () => ({
+  $set: {
+    dewPoint: fromReading(
+      { $round: [dewPointExpr, 2] },
+      { needsHumidity: true }
+    ),
+    dewPointSpread: fromReading(
+      { $round: [{ $subtract: [T, dewPointExpr] }, 2] },
+      { needsHumidity: true }
+    ),
+    heatIndex: fromReading({ $round: [heatIndexExpr, 2] }),
+    absoluteHumidity: fromReading({ $round: [absoluteHumidityExpr, 2] }),
+    vpd: fromReading({ $round: [vpdExpr, 3] }),
+  },
+});
@@ -0,0 +1,349 @@
+import { EventEmitter } from "events";
+import {
+  Alert,
+  ConnectivitySession,
+  Device,
+  DeviceConfig,
+  DeviceConnection,
+  DeviceStatus,
+  SensorData,
+} from "../db/models.js";
+import { formatDuration } from "../utils/time.js";
+import { createAlert } from "./alerts.js";
+import { registerDevice } from "./devices.js";
+import { invalidateRollups } from "./rollups.js";
+import { evaluateRules } from "./rules.js";
+import { publishEvent } from "./stream.js";
+
+// Connection tracking and the latest reading/status are kept in MongoDB
+// (DeviceConnection), so every serverless instance reports the same state
+
+// Emits "command" (deviceId) whenever a new command is queued, so push
+// transports (e.g. the serial bridge) can deliver it without waiting for a poll
+export const deviceEvents = new EventEmitter();
+deviceEvents.setMaxListeners(0); // One listener per long-polling device
+
+const EMPTY_CONNECTION_STATUS = {
+  lastDataReceived: null,
+  lastStatusUpdate: null,
+  lastCommandPoll: null,
+  totalDataReceived: 0,
+  totalCommandsSent: 0,
+  totalRejected: 0,
+  rejectedByType: {},
+  lastRejectedAt: null,
+  isConnected: false,
+  latestSensorData: null,
+  latestDeviceStatus: null,
+};
+
+export const getConnectionStatus = async (deviceId) => {
+  const connection = await DeviceConnection.findOne({ deviceId }).lean();
+  return { ...EMPTY_CONNECTION_STATUS, ...connection };
+};
+
+export const getLatestSensorData = async (deviceId) =>
+  (await getConnectionStatus(deviceId)).latestSensorData;
+
+export const getLatestDeviceStatus = async (deviceId) =>
+  (await getConnectionStatus(deviceId)).latestDeviceStatus;
+
+// A device is considered offline if it hasn't communicated for this long.
+// Devices sampling less often get longer (see updateConnectionTimeout)
+export const CONNECTION_TIMEOUT = 60000; // 60 seconds
+
+// Sampling intervals a device may miss before it counts as offline
+const MISSED_INTERVALS = 3;
+
+// Whether the device has communicated within its timeout
+export const isDeviceConnected = (connectionStatus, now = new Date()) => {
+  const lastContact = Math.max(
+    connectionStatus.lastDataReceived || 0,
+    connectionStatus.lastStatusUpdate || 0,
+    connectionStatus.lastCommandPoll || 0
+  );
+  const timeout = connectionStatus.timeoutMs || CONNECTION_TIMEOUT;
+  return lastContact > 0 && now - lastContact < timeout;
+};
+
+// Work out a device's offline timeout and store it with its connection:
+// the device's offlineTimeout if set, otherwise MISSED_INTERVALS sampling
+// intervals (never less than CONNECTION_TIMEOUT). Returns it in ms
+export const updateConnectionTimeout = async (deviceId) => {
+  const device = await Device.findOne(
+    { deviceId },
+    { offlineTimeout: 1 }
+  ).lean();
+  const config = await DeviceConfig.findOne({ deviceId }).lean();
+  const samplingInterval =
+    (config && config.reported && config.reported.samplingInterval) ||
+    (config && config.desired && config.desired.samplingInterval) ||
+    0;
+
+  const timeoutMs =
+    device && device.offlineTimeout
+      ? device.offlineTimeout * 1000
+      : Math.max(CONNECTION_TIMEOUT, MISSED_INTERVALS * samplingInterval);
+  await DeviceConnection.updateOne(
+    { deviceId },
+    { $set: { timeoutMs } },
+    { upsert: true }
+  );
+  return timeoutMs;
+};
+
+const openSession = async (deviceId, start) => {
+  await ConnectivitySession.create({ deviceId, start });
+  await DeviceConnection.updateOne(
+    { deviceId },
+    { $set: { sessionStart: start } }
+  );
+};
+
+const closeSession = (deviceId, end) =>
+  ConnectivitySession.updateMany({ deviceId, end: null }, { $set: { end } });
+
+// A device that was offline (or never seen) just made contact: start a
+// session and, for a device seen before, resolve its offline alerts and
+// raise a "back online" one. If the watchdog didn't mark it offline in
+// time, its previous session ends at its last contact here instead
+const recordOnline = async (deviceId, previous, now) => {
+  if (previous && previous.sessionStart) {
+    await closeSession(deviceId, previous.lastContactAt);
+  }
+  await openSession(deviceId, now);
+  if (!previous || !previous.lastContactAt) return;
+
+  const offlineFor = formatDuration(now - previous.lastContactAt);
+  await Alert.updateMany(
+    {
+      deviceId,
+      source: "connectivity",
+      severity: "warning",
+      state: { $in: ["open", "acknowledged", null] },
+    },
+    { $set: { state: "resolved", resolvedBy: "watchdog", resolvedAt: now } }
+  );
+  await createAlert({
+    deviceId,
+    message: `Device back online after ${offlineFor} offline`,
+    severity: "info",
+    source: "connectivity",
+  });
+  console.log(`✅ Device ${deviceId} back online after ${offlineFor}`);
+};
+
+// Record that a device just talked to us; `field` is lastDataReceived,
+// lastStatusUpdate or lastCommandPoll. `set` and `inc` are applied in the
+// same atomic upsert. Publishes a "connection" event when the device comes
+// (back) online, and returns the updated connection status
+export const recordContact = async (
+  deviceId,
+  field,
+  { set = {}, inc = {} } = {}
+) => {
+  const now = new Date();
+  const update = {
+    $set: { ...set, [field]: now, lastContactAt: now, isConnected: true },
+  };
+  if (Object.keys(inc).length > 0) update.$inc = inc;
+
+  // Fetch the previous state to tell whether the device was offline
+  const previous = await DeviceConnection.findOneAndUpdate(
+    { deviceId },
+    update,
+    { upsert: true, new: false, lean: true }
+  );
+
+  if (!previous || !isDeviceConnected(previous, now)) {
+    publishEvent("connection", deviceId, { isConnected: true });
+    await recordOnline(deviceId, previous, now);
+  } else if (!previous.sessionStart) {
+    // Online since before sessions were recorded
+    await openSession(deviceId, now);
+  }
+
+  const connectionStatus = {
+    ...EMPTY_CONNECTION_STATUS,
+    ...previous,
+    ...update.$set,
+  };
+  Object.entries(inc).forEach(([key, amount]) => {
+    connectionStatus[key] = (connectionStatus[key] || 0) + amount;
+  });
+  return connectionStatus;
+};
+
+// Count payloads of the given kind (reading, status, alert, ack, batch)
+// that failed validation
+export const recordRejection = async (deviceId, kind, count = 1) => {
+  await DeviceConnection.updateOne(
+    { deviceId },
+    {
+      $inc: { totalRejected: count, [`rejectedByType.${kind}`]: count },
+      $set: { lastRejectedAt: new Date() },
+    },
+    { upsert: true }
+  );
+};
+
+// ✅ Watchdog: mark devices that stopped communicating (each past its own
+// timeout) as offline, end their session, raise a "device offline" alert
+// and publish a "connection" event. Run periodically by the long-lived
+// server or POST /api/admin/watchdog/run; the conditional update makes
+// sure only one instance reports each device.
+// Returns the ids of the devices marked offline
+export const checkConnections = async (now = new Date()) => {
+  const staleFilter = {
+    isConnected: true,
+    $expr: {
+      $lte: [
+        "$lastContactAt",
+        { $subtract: [now, { $ifNull: ["$timeoutMs", CONNECTION_TIMEOUT] }] },
+      ],
+    },
+  };
+  const stale = await DeviceConnection.find(staleFilter, {
+    deviceId: 1,
+    lastContactAt: 1,
+    timeoutMs: 1,
+  }).lean();
+
+  const offline = [];
+  for (const { deviceId, lastContactAt, timeoutMs } of stale) {
+    const result = await DeviceConnection.updateOne(
+      { deviceId, ...staleFilter },
+      { $set: { isConnected: false }, $unset: { sessionStart: "" } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    offline.push(deviceId);
+    console.log(`⚠️ Device ${deviceId} went offline`);
+    publishEvent("connection", deviceId, { isConnected: false });
+
+    await closeSession(deviceId, lastContactAt);
+    await createAlert({
+      deviceId,
+      message:
+        `Device offline: no contact since ${lastContactAt.toISOString()} ` +
+        `(timeout ${formatDuration(timeoutMs || CONNECTION_TIMEOUT)})`,
+      severity: "warning",
+      source: "connectivity",
+    });
+  }
+  return offline;
+};
+
+// Store a sensor reading coming from any transport (HTTP, serial)
+export const saveSensorData = async (deviceId, reading) => {
+  await registerDevice(deviceId);
+
+  // Update connection tracking
+  const connectionStatus = await recordContact(deviceId, "lastDataReceived", {
+    set: { latestSensorData: reading },
+    inc: { totalDataReceived: 1 },
+  });
+
+  // Save to MongoDB
+  const newEntry = new SensorData({ ...reading, deviceId });
+  await newEntry.save();
+
+  // Display formatted reading
+  console.log("\n" + "=".repeat(60));
+  console.log(`📡 NEW SENSOR READING RECEIVED (${deviceId}):`);
+  console.log(`   🌡️  Temperature: ${reading.temperature}°C`);
+  console.log(`   💧 Humidity: ${reading.humidity}%`);
+  console.log(`   💡 Light (LDR): ${reading.ldr}`);
+  console.log(`   📊 Total readings: ${connectionStatus.totalDataReceived}`);
+  if (reading.quality === "suspect") {
+    console.log(`   ⚠️  Suspect: ${reading.qualityFlags.join(", ")}`);
+  }
+  console.log("=".repeat(60) + "\n");
+
+  publishEvent("reading", deviceId, newEntry);
+
+  // Raise alerts for any threshold rules this reading trips
+  await evaluateRules(deviceId, newEntry);
+
+  return newEntry;
+};
+
+// Store readings buffered by the device, each with its own timestamp and
+// dedupKey. Readings already stored under the same dedupKey are skipped,
+// so an interrupted upload can simply be sent again.
+// Returns { inserted, duplicates }
+export const saveSensorBatch = async (deviceId, readings) => {
+  await registerDevice(deviceId);
+
+  const result = await SensorData.bulkWrite(
+    readings.map((reading) => ({
+      updateOne: {
+        filter: { deviceId, dedupKey: reading.dedupKey },
+        update: { $setOnInsert: { ...reading, deviceId } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  const inserted = result.upsertedCount;
+  const duplicates = readings.length - inserted;
+
+  // Rollups already computed for these times must include the new readings
+  const insertedTimes = Object.keys(result.upsertedIds).map(
+    (index) => readings[index].timestamp
+  );
+  if (insertedTimes.length > 0) {
+    await invalidateRollups(new Date(Math.min(...insertedTimes)));
+  }
+
+  // If the newest reading is new and recent, treat it like a live upload:
+  // it becomes the latest value and goes to the stream and rules engine.
+  // Older readings are stored for history only
+  let newestIndex = 0;
+  readings.forEach((reading, index) => {
+    if (reading.timestamp > readings[newestIndex].timestamp) {
+      newestIndex = index;
+    }
+  });
+  const newestId = result.upsertedIds[newestIndex];
+  const { dedupKey, ...newest } = readings[newestIndex];
+  const isLive =
+    newestId !== undefined &&
+    Date.now() - newest.timestamp < CONNECTION_TIMEOUT;
+
+  await recordContact(deviceId, "lastDataReceived", {
+    set: isLive ? { latestSensorData: newest } : {},
+    inc: { totalDataReceived: inserted },
+  });
+
+  console.log(
+    `📦 Batch of ${readings.length} readings received (${deviceId}): ` +
+      `${inserted} new, ${duplicates} duplicates`
+  );
+
+  if (isLive) {
+    const entry = { _id: newestId, deviceId, ...newest };
+    publishEvent("reading", deviceId, entry);
+    await evaluateRules(deviceId, entry);
+  }
+
+  return { inserted, duplicates };
+};
+
+// Store a device status report coming from any transport (HTTP, serial)
+export const saveDeviceStatus = async (deviceId, statusData) => {
+  await registerDevice(deviceId);
+
+  // Update connection tracking
+  await recordContact(deviceId, "lastStatusUpdate", {
+    set: { latestDeviceStatus: statusData },
+  });
+
+  // Save to MongoDB
+  const newStatus = new DeviceStatus({ ...statusData, deviceId });
+  await newStatus.save();
+  publishEvent("status", deviceId, newStatus);
+
+  console.log(`✅ Device status updated (${deviceId}):`, statusData);
+  return newStatus;
+};
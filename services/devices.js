@@ -0,0 +1,77 @@
+import { Alert, Device, DeviceStatus, SensorData } from "../db/models.js";
+
+// Boards that don't send a device id (older firmware) are tracked under this id
+export const DEFAULT_DEVICE_ID = "default";
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const isValidDeviceId = (deviceId) =>
+  typeof deviceId === "string" && DEVICE_ID_PATTERN.test(deviceId);
+
+// Make sure a Device document exists for a board that just talked to us.
+// Upserted on every contact (not cached) so a device removed through any
+// instance is registered again when it comes back
+export const registerDevice = async (deviceId) => {
+  await Device.updateOne(
+    { deviceId },
+    { $setOnInsert: { deviceId, name: deviceId } },
+    { upsert: true }
+  );
+};
+
+// ✅ One-time migration: readings, alerts and statuses stored before data
+// was kept per device have no deviceId. They belonged to the single board,
+// now DEFAULT_DEVICE_ID. Safe to run on every start; once migrated there
+// is nothing left to update
+export const migrateLegacyDeviceData = async () => {
+  let migrated = 0;
+  for (const model of [SensorData, Alert, DeviceStatus]) {
+    const result = await model.updateMany(
+      { deviceId: { $exists: false } },
+      { $set: { deviceId: DEFAULT_DEVICE_ID } }
+    );
+    migrated += result.modifiedCount;
+  }
+
+  if (migrated > 0) {
+    await registerDevice(DEFAULT_DEVICE_ID);
+    console.log(
+      `🔧 Assigned ${migrated} record(s) without a device to ${DEFAULT_DEVICE_ID}`
+    );
+  }
+  return migrated;
+};
+
+// Build a Mongo filter from a `deviceId` query param ("a" or "a,b,c")
+export const buildDeviceFilter = (deviceIdParam) => {
+  if (!deviceIdParam) {
+    return {};
+  }
+
+  const deviceIds = String(deviceIdParam)
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  if (deviceIds.length === 1) {
+    return { deviceId: deviceIds[0] };
+  }
+  return { deviceId: { $in: deviceIds } };
+};
+
+// Commands, schedules and rollouts target one device, every device with a
+// tag or every device in a group
+export const TARGET_FIELDS = ["deviceId", "tag", "groupId"];
+
+// Returns an error message, or null if exactly one target is given
+export const checkTarget = (target) =>
+  TARGET_FIELDS.filter((field) => target[field]).length === 1
+    ? null
+    : "Give one of deviceId, tag or groupId";
+
+// Device filter for a target
+export const buildTargetFilter = ({ deviceId, tag, groupId }) => {
+  if (deviceId) return { deviceId };
+  if (tag) return { tags: tag };
+  return { groupIds: groupId };
+};
@@ -0,0 +1,164 @@
+import ExcelJS from "exceljs";
+import { pipeline } from "stream/promises";
+import { SensorData } from "../db/models.js";
+import { convertReading } from "../utils/units.js";
+import { formatTimestamp, toWallClockDate } from "../utils/time.js";
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8" },
+  ndjson: { contentType: "application/x-ndjson" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+};
+
+export const EXPORT_COLUMNS = [
+  "timestamp",
+  "deviceId",
+  "temperature",
+  "humidity",
+  "ldr",
+];
+
+// Parse a columns param like "timestamp,temperature" (default: all)
+// Returns { columns } or { error }
+export const parseColumns = (value) => {
+  if (!value) return { columns: EXPORT_COLUMNS };
+
+  const columns = String(value)
+    .split(",")
+    .map((column) => column.trim())
+    .filter(Boolean);
+  const unknown = columns.filter((column) => !EXPORT_COLUMNS.includes(column));
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `Invalid columns. Use: ${EXPORT_COLUMNS.join(", ")}` };
+  }
+  return { columns: [...new Set(columns)] };
+};
+
+// Header label per column; temperature carries its unit, and so does
+// the light column when it holds lux
+const columnHeader = (column, units) => {
+  if (column === "temperature") return `temperature_${units.temperature}`;
+  if (column === "ldr" && units.light === "lux") return "ldr_lux";
+  return column;
+};
+
+// Column values for one reading, converted to the requested units
+const readingValues = (reading, { columns, units }) => {
+  const converted = convertReading(reading, units);
+  return columns.map((column) => converted[column]);
+};
+
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Writers turn readings into output chunks for one format
+const csvWriter = (options) => ({
+  header: () =>
+    options.columns
+      .map((column) => escapeCsv(columnHeader(column, options.units)))
+      .join(",") + "\r\n",
+  row: (reading) =>
+    readingValues(reading, options)
+      .map((value, i) =>
+        escapeCsv(
+          options.columns[i] === "timestamp"
+            ? formatTimestamp(value, options.timezone)
+            : value
+        )
+      )
+      .join(",") + "\r\n",
+});
+
+const ndjsonWriter = (options) => ({
+  header: () => "",
+  row: (reading) => {
+    const values = readingValues(reading, options);
+    const entry = {};
+    options.columns.forEach((column, i) => {
+      entry[columnHeader(column, options.units)] =
+        column === "timestamp"
+          ? formatTimestamp(values[i], options.timezone)
+          : values[i];
+    });
+    return JSON.stringify(entry) + "\n";
+  },
+});
+
+// ✅ Stream readings matching `filter` to an HTTP response, oldest first.
+// Readings are read with a cursor, so memory use doesn't grow with the range.
+// Options: format (csv, ndjson, xlsx), columns, timezone (IANA name used
+// for timestamps), units (see parseUnits). Returns the row count
+export const streamExport = async (res, { filter, format, ...options }) => {
+  const cursor = SensorData.find(filter).sort({ timestamp: 1 }).lean().cursor();
+
+  let count = 0;
+  try {
+    if (format === "xlsx") {
+      // Stop reading from MongoDB if the client goes away
+      let aborted = false;
+      res.on("close", () => {
+        aborted = true;
+      });
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: res,
+        useStyles: true,
+      });
+      const sheet = workbook.addWorksheet("Readings");
+      sheet.columns = options.columns.map((column) => ({
+        header: columnHeader(column, options.units),
+        key: column,
+        width: column === "timestamp" ? 20 : 14,
+        style: column === "timestamp" ? { numFmt: "yyyy-mm-dd hh:mm:ss" } : {},
+      }));
+
+      for await (const reading of cursor) {
+        if (aborted) break;
+        const values = readingValues(reading, options);
+        sheet
+          .addRow(
+            options.columns.map((column, i) =>
+              column === "timestamp"
+                ? toWallClockDate(values[i], options.timezone)
+                : values[i]
+            )
+          )
+          .commit();
+        count++;
+      }
+
+      if (!aborted) {
+        sheet.commit();
+        await workbook.commit();
+      }
+    } else {
+      const writer =
+        format === "csv" ? csvWriter(options) : ndjsonWriter(options);
+
+      // pipeline handles backpressure and tears down the cursor on abort
+      await pipeline(
+        cursor,
+        async function* (readings) {
+          yield writer.header();
+          for await (const reading of readings) {
+            count++;
+            yield writer.row(reading);
+          }
+        },
+        res
+      );
+    }
+  } catch (err) {
+    if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") throw err;
+  } finally {
+    await cursor.close();
+  }
+
+  return count;
+};
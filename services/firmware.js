@@ -0,0 +1,409 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import {
+  Command,
+  Device,
+  Firmware,
+  FirmwareRollout,
+  FirmwareUpdate,
+} from "../db/models.js";
+import { queueCommand } from "./commands.js";
+import { buildTargetFilter, checkTarget, isValidDeviceId } from "./devices.js";
+
+// Firmware binaries are stored in MongoDB (GridFS), so every instance can
+// serve them. Rollouts queue "OTA:<download path>" for their devices; the
+// device downloads the binary from that path with its API key and reports
+// progress in its status updates (otaStatus, otaProgress, otaError)
+
+// Largest binary accepted (Vercel caps request bodies at 4.5 MB)
+export const MAX_FIRMWARE_SIZE = 4 * 1024 * 1024;
+
+// Devices may be offline for a while, so update commands wait longer than
+// the default before expiring
+const OTA_COMMAND_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+const IN_PROGRESS = ["queued", "downloading", "installing"];
+
+const VERSION_PATTERN = /^v?\d+(\.\d+){0,2}([-+][0-9A-Za-z.-]+)?$/;
+const BOARD_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+const getBucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: "firmware",
+  });
+
+// Path the device downloads a binary from
+export const firmwareDownloadPath = (firmware) =>
+  `/api/device/firmware/${firmware._id}`;
+
+// Check upload metadata (query params of POST /api/firmware)
+// Returns { fields } or { error }
+export const parseFirmwareFields = ({ version, board, sha256, notes }) => {
+  if (typeof version !== "string" || !VERSION_PATTERN.test(version)) {
+    return { error: "Invalid version. Use e.g. 2.1.0" };
+  }
+  if (typeof board !== "string" || !BOARD_PATTERN.test(board)) {
+    return { error: "Invalid board. Use e.g. esp32" };
+  }
+  if (sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(sha256)) {
+    return { error: "Invalid sha256" };
+  }
+
+  const fields = { version, board };
+  if (sha256 !== undefined) fields.sha256 = sha256.toLowerCase();
+  if (notes !== undefined) fields.notes = String(notes);
+  return { fields };
+};
+
+// Store a binary and its metadata. An expected sha256, if given, must
+// match the upload. Returns the Firmware document, or { error } if the
+// checksum doesn't match
+export const storeFirmware = async (fields, data, user) => {
+  const sha256 = crypto.createHash("sha256").update(data).digest("hex");
+  if (fields.sha256 && fields.sha256 !== sha256) {
+    return { error: `Checksum mismatch: upload has sha256 ${sha256}` };
+  }
+  const md5 = crypto.createHash("md5").update(data).digest("hex");
+
+  const upload = getBucket().openUploadStream(
+    `${fields.board}-${fields.version}.bin`,
+    { metadata: { board: fields.board, version: fields.version } }
+  );
+  await new Promise((resolve, reject) => {
+    upload.on("finish", resolve).on("error", reject);
+    upload.end(data);
+  });
+
+  return Firmware.create({
+    ...fields,
+    fileId: upload.id,
+    size: data.length,
+    sha256,
+    md5,
+    uploadedBy: user,
+  });
+};
+
+// Remove a binary and its file
+export const deleteFirmware = async (firmware) => {
+  await getBucket().delete(firmware.fileId);
+  await Firmware.deleteOne({ _id: firmware._id });
+};
+
+// Byte range requested by a Range header, as { start, end } (inclusive).
+// Returns null to send the whole file (no header, or one we don't serve
+// such as several ranges) and { error } if it can't be satisfied
+export const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return { error: "Range not satisfiable" };
+  return { start, end };
+};
+
+// Stream a binary (or a byte range of it) to the response
+export const streamFirmware = (res, firmware, range) => {
+  res.set({
+    "Content-Type": "application/octet-stream",
+    "Content-Disposition": `attachment; filename="${firmware.board}-${firmware.version}.bin"`,
+    "Accept-Ranges": "bytes",
+    "X-Firmware-Version": firmware.version,
+    "X-Firmware-SHA256": firmware.sha256,
+    "x-MD5": firmware.md5,
+  });
+
+  if (range) {
+    res.status(206);
+    res.set({
+      "Content-Range": `bytes ${range.start}-${range.end}/${firmware.size}`,
+      "Content-Length": range.end - range.start + 1,
+    });
+  } else {
+    res.set("Content-Length", firmware.size);
+  }
+
+  const download = getBucket().openDownloadStream(
+    firmware.fileId,
+    range ? { start: range.start, end: range.end + 1 } : {}
+  );
+  download.on("error", (err) => {
+    console.error("❌ Error streaming firmware:", err);
+    res.destroy(err);
+  });
+  download.pipe(res);
+};
+
+// A device starting a download moves its queued update to "downloading"
+export const recordDownload = async (deviceId, firmware) => {
+  await FirmwareUpdate.updateOne(
+    { deviceId, firmwareId: firmware._id, status: "queued" },
+    { $set: { status: "downloading", updatedAt: new Date() } }
+  );
+};
+
+// Check the fields of a rollout (POST body, or PATCH with `partial`)
+// Returns { fields } or { error }
+export const parseRolloutFields = (body, { partial = false } = {}) => {
+  const fields = {};
+
+  if (!partial) {
+    if (!mongoose.isValidObjectId(body.firmwareId)) {
+      return { error: "Invalid firmwareId" };
+    }
+    fields.firmwareId = body.firmwareId;
+
+    const invalidTarget = checkTarget(body);
+    if (invalidTarget) {
+      return { error: invalidTarget };
+    }
+    if (body.deviceId) {
+      if (!isValidDeviceId(body.deviceId)) {
+        return { error: "Invalid deviceId" };
+      }
+      fields.deviceId = body.deviceId;
+    } else if (body.tag) {
+      fields.tag = String(body.tag);
+    } else {
+      if (!mongoose.isValidObjectId(body.groupId)) {
+        return { error: "Invalid groupId" };
+      }
+      fields.groupId = body.groupId;
+    }
+  }
+
+  if (body.percentage !== undefined) {
+    const percentage = Number(body.percentage);
+    if (!Number.isInteger(percentage) || percentage < 1 || percentage > 100) {
+      return { error: "percentage must be a whole number from 1 to 100" };
+    }
+    fields.percentage = percentage;
+  }
+  if (partial && body.paused !== undefined) {
+    if (typeof body.paused !== "boolean") {
+      return { error: "paused must be true or false" };
+    }
+    fields.status = body.paused ? "paused" : "active";
+  }
+  return { fields };
+};
+
+// Stable 0-99 bucket of a device within a rollout, so raising the
+// percentage only ever adds devices
+const rolloutBucket = (rolloutId, deviceId) =>
+  crypto
+    .createHash("sha256")
+    .update(`${rolloutId}:${deviceId}`)
+    .digest()
+    .readUInt32BE(0) % 100;
+
+// Queue an OTA command for a device and record the update
+const queueUpdate = async (deviceId, firmware, fields) => {
+  const command = await queueCommand(
+    deviceId,
+    `OTA:${firmwareDownloadPath(firmware)}`,
+    { ttl: OTA_COMMAND_TTL }
+  );
+  return FirmwareUpdate.create({
+    ...fields,
+    deviceId,
+    firmwareId: firmware._id,
+    toVersion: firmware.version,
+    commandId: command._id,
+    updatedAt: new Date(),
+  });
+};
+
+// ✅ Queue updates for the rollout's devices that are in its percentage,
+// have the right board, don't run its version yet and have no update in
+// progress. Devices it already updated (or tried to) are left alone, so
+// this can run again after the percentage or the target's devices change.
+// Returns { queued: [FirmwareUpdate], skipped: [{ deviceId, reason }] }
+export const applyRollout = async (rollout) => {
+  const result = { queued: [], skipped: [] };
+  if (rollout.status !== "active") return result;
+
+  const firmware = await Firmware.findById(rollout.firmwareId).lean();
+  if (!firmware) throw new Error("Firmware of the rollout was deleted");
+
+  const devices = await Device.find(buildTargetFilter(rollout), {
+    deviceId: 1,
+    board: 1,
+    firmwareVersion: 1,
+  }).lean();
+
+  for (const { deviceId, board, firmwareVersion } of devices) {
+    if (rolloutBucket(rollout._id, deviceId) >= rollout.percentage) continue;
+
+    const skip = (reason) => result.skipped.push({ deviceId, reason });
+    if (board !== rollout.board) {
+      skip(board ? `Board is ${board}` : "Board not reported yet");
+      continue;
+    }
+    if (firmwareVersion === rollout.version) {
+      skip(`Already on ${rollout.version}`);
+      continue;
+    }
+    if (await FirmwareUpdate.exists({ deviceId, rolloutId: rollout._id })) {
+      continue;
+    }
+    if (
+      await FirmwareUpdate.exists({ deviceId, status: { $in: IN_PROGRESS } })
+    ) {
+      skip("Another update is in progress");
+      continue;
+    }
+
+    result.queued.push(
+      await queueUpdate(deviceId, firmware, {
+        rolloutId: rollout._id,
+        fromVersion: firmwareVersion || null,
+      })
+    );
+  }
+
+  if (result.queued.length > 0) {
+    console.log(
+      `📦 Rollout of ${rollout.board} ${rollout.version}: ` +
+        `queued ${result.queued.length} update(s)`
+    );
+  }
+  return result;
+};
+
+// ✅ Roll a rollout back: stop it, cancel updates not yet downloaded and
+// send devices that got (or are getting) its version back to the version
+// they had before. Returns { cancelled, queued, skipped } like applyRollout
+export const rollbackRollout = async (rollout) => {
+  const now = new Date();
+  await FirmwareRollout.updateOne(
+    { _id: rollout._id },
+    { $set: { status: "rolled_back", rolledBackAt: now, updatedAt: now } }
+  );
+
+  const updates = await FirmwareUpdate.find({
+    rolloutId: rollout._id,
+    rollback: false,
+  }).lean();
+
+  // Updates still waiting in the command queue
+  const pending = updates.filter((update) => update.status === "queued");
+  await FirmwareUpdate.updateMany(
+    { _id: { $in: pending.map((update) => update._id) } },
+    { $set: { status: "cancelled", updatedAt: now } }
+  );
+  await Command.updateMany(
+    {
+      _id: { $in: pending.map((update) => update.commandId) },
+      status: "queued",
+    },
+    { $set: { status: "expired" } }
+  );
+
+  const result = { cancelled: pending.length, queued: [], skipped: [] };
+  const reached = updates.filter((update) =>
+    ["downloading", "installing", "succeeded"].includes(update.status)
+  );
+  for (const update of reached) {
+    const { deviceId, fromVersion } = update;
+    const previous =
+      fromVersion &&
+      (await Firmware.findOne({
+        board: rollout.board,
+        version: fromVersion,
+      }).lean());
+    if (!previous) {
+      result.skipped.push({
+        deviceId,
+        reason: fromVersion
+          ? `No stored firmware for ${fromVersion}`
+          : "Previous version unknown",
+      });
+      continue;
+    }
+
+    if (update.status !== "succeeded") {
+      await FirmwareUpdate.updateOne(
+        { _id: update._id },
+        { $set: { status: "cancelled", updatedAt: now } }
+      );
+    }
+    result.queued.push(
+      await queueUpdate(deviceId, previous, {
+        rolloutId: rollout._id,
+        fromVersion: rollout.version,
+        rollback: true,
+      })
+    );
+  }
+
+  console.log(
+    `⏪ Rollout of ${rollout.board} ${rollout.version} rolled back: ` +
+      `${result.cancelled} cancelled, ${result.queued.length} reverted`
+  );
+  return result;
+};
+
+// Apply the OTA fields of a status report to the device's update in
+// progress. Rebooting into the target version also counts as success.
+// Never throws: a failure here shouldn't reject the status update
+export const trackFirmwareUpdate = async (deviceId, statusData) => {
+  try {
+    const { otaStatus, otaProgress, otaError, firmwareVersion } = statusData;
+    if (
+      otaStatus === undefined &&
+      otaProgress === undefined &&
+      firmwareVersion === undefined
+    ) {
+      return null;
+    }
+
+    const update = await FirmwareUpdate.findOne({
+      deviceId,
+      status: { $in: IN_PROGRESS },
+    }).sort({ createdAt: -1 });
+    if (!update) return null;
+
+    if (otaStatus !== undefined) update.status = otaStatus;
+    if (otaProgress !== undefined) update.progress = otaProgress;
+    if (otaError !== undefined) update.error = otaError;
+    if (firmwareVersion === update.toVersion && otaStatus !== "failed") {
+      update.status = "succeeded";
+    }
+    if (update.status === "succeeded") update.progress = 100;
+    if (!update.isModified()) return update;
+    update.updatedAt = new Date();
+    await update.save();
+
+    if (update.status === "succeeded" || update.status === "failed") {
+      console.log(
+        `📦 Firmware update of ${deviceId} to ${update.toVersion} ` +
+          `${update.status}${update.error ? `: ${update.error}` : ""}`
+      );
+    }
+    return update;
+  } catch (err) {
+    console.error(`❌ Error tracking firmware update for ${deviceId}:`, err);
+    return null;
+  }
+};
+
+// Updates of a rollout counted by status
+export const summarizeUpdates = (updates) => {
+  const summary = {};
+  updates.forEach(({ status, rollback }) => {
+    const key = rollback ? `rollback_${status}` : status;
+    summary[key] = (summary[key] || 0) + 1;
+  });
+  return summary;
+};
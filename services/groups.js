@@ -0,0 +1,197 @@
+import mongoose from "mongoose";
+import {
+  Command,
+  Device,
+  DeviceConnection,
+  DeviceGroup,
+} from "../db/models.js";
+import { validatePayload } from "../utils/schema.js";
+import {
+  checkDeviceCommand,
+  parseCommand,
+  sendCommand,
+} from "./commandCatalog.js";
+import { expireCommands } from "./commands.js";
+import { isDeviceConnected } from "./deviceState.js";
+
+const GROUP_SCHEMA = {
+  name: { type: "string", required: true, maxLength: 100 },
+  description: { type: "string", maxLength: 500 },
+};
+
+const LOCATION_SCHEMA = {
+  site: { type: "string", maxLength: 100 },
+  building: { type: "string", maxLength: 100 },
+  floor: { type: "string", maxLength: 100 },
+  room: { type: "string", maxLength: 100 },
+  latitude: { type: "number", min: -90, max: 90 },
+  longitude: { type: "number", min: -180, max: 180 },
+};
+
+// Metrics averaged over a group's latest readings
+const SUMMARY_METRICS = ["temperature", "humidity", "ldr", "lux"];
+
+// Check a group body (POST, or PATCH with `partial`). A location replaces
+// the previous one as a whole. Returns { fields } or { error, details }
+export const parseGroupFields = (body, { partial = false } = {}) => {
+  const { value: fields, errors } = validatePayload(GROUP_SCHEMA, body, {
+    partial,
+  });
+
+  if (body && body.location !== undefined) {
+    const location = validatePayload(LOCATION_SCHEMA, body.location, {
+      partial: true,
+    });
+    location.errors.forEach((error) =>
+      errors.push({ ...error, field: `location.${error.field || ""}` })
+    );
+    fields.location = location.value;
+  }
+
+  if (errors.length > 0) {
+    return { error: "Invalid group", details: errors };
+  }
+  return { fields };
+};
+
+// Device ids of a group's members
+export const getGroupDeviceIds = (groupId) =>
+  Device.find({ groupIds: groupId }).distinct("deviceId");
+
+// Reading filter for a group's members, or null if the group doesn't exist
+export const buildGroupFilter = async (groupId) => {
+  if (!mongoose.isValidObjectId(groupId)) return null;
+  if (!(await DeviceGroup.exists({ _id: groupId }))) return null;
+  return { deviceId: { $in: await getGroupDeviceIds(groupId) } };
+};
+
+// ✅ Send one command to every device in a group. Each device gets its own
+// command (with the group and a shared batchId); devices whose firmware
+// doesn't have the command are skipped.
+// Returns { batchId, command, devices: [{ deviceId, status, commandId }] }
+// or { error } if the command isn't valid
+export const sendGroupCommand = async (group, command, { user, ttl }) => {
+  const parsed = parseCommand(command);
+  if (parsed.error) return parsed;
+
+  const batchId = new mongoose.Types.ObjectId();
+  const devices = [];
+  for (const deviceId of await getGroupDeviceIds(group._id)) {
+    const checked = await checkDeviceCommand(deviceId, parsed.command);
+    if (checked.error) {
+      devices.push({ deviceId, status: "skipped", error: checked.error });
+      continue;
+    }
+
+    const queued = await sendCommand(deviceId, checked, {
+      user,
+      ttl,
+      groupId: group._id,
+      batchId,
+    });
+    devices.push({ deviceId, status: queued.status, commandId: queued._id });
+  }
+
+  console.log(
+    `📥 Command ${parsed.command} sent to group "${group.name}": ` +
+      `${devices.filter((device) => device.commandId).length} device(s)`
+  );
+  return { batchId, command: parsed.command, devices };
+};
+
+// Delivery status of a group send, per device, or null if there's no
+// such batch
+export const describeBatch = async (groupId, batchId) => {
+  await expireCommands();
+  const commands = await Command.find({ groupId, batchId })
+    .sort({ deviceId: 1 })
+    .lean();
+  if (commands.length === 0) return null;
+
+  const summary = {};
+  commands.forEach(({ status }) => {
+    summary[status] = (summary[status] || 0) + 1;
+  });
+  return {
+    batchId,
+    groupId,
+    command: commands[0].command,
+    createdAt: commands[0].createdAt,
+    summary,
+    devices: commands.map((command) => ({
+      deviceId: command.deviceId,
+      commandId: command._id,
+      status: command.status,
+      deliveredAt: command.deliveredAt || null,
+      acknowledgedAt: command.acknowledgedAt || null,
+      result: command.result || null,
+    })),
+  };
+};
+
+const average = (values) =>
+  values.length > 0
+    ? Math.round(
+        (values.reduce((sum, value) => sum + value, 0) / values.length) * 100
+      ) / 100
+    : null;
+
+// ✅ Overview of each group: which members are online or offline, and the
+// average of the online members' latest readings (offline members' last
+// readings would be stale)
+export const summarizeGroups = async (groups, now = new Date()) => {
+  const devices = await Device.find(
+    { groupIds: { $in: groups.map((group) => group._id) } },
+    { deviceId: 1, name: 1, groupIds: 1 }
+  ).lean();
+  const connections = await DeviceConnection.find({
+    deviceId: { $in: devices.map((device) => device.deviceId) },
+  }).lean();
+  const connectionsById = new Map(
+    connections.map((connection) => [connection.deviceId, connection])
+  );
+
+  return groups.map((group) => {
+    const members = devices.filter((device) =>
+      device.groupIds.some((id) => String(id) === String(group._id))
+    );
+
+    const online = [];
+    const offline = [];
+    members.forEach(({ deviceId, name }) => {
+      const connection = connectionsById.get(deviceId) || {};
+      if (isDeviceConnected(connection, now)) {
+        online.push(connection);
+      } else {
+        offline.push({
+          deviceId,
+          name,
+          lastContactAt: connection.lastContactAt || null,
+        });
+      }
+    });
+
+    const latest = online
+      .map((connection) => connection.latestSensorData)
+      .filter(Boolean);
+    const averages = {};
+    SUMMARY_METRICS.forEach((metric) => {
+      averages[metric] = average(
+        latest
+          .map((reading) => reading[metric])
+          .filter((value) => typeof value === "number")
+      );
+    });
+
+    return {
+      groupId: group._id,
+      name: group.name,
+      location: group.location || {},
+      deviceCount: members.length,
+      onlineCount: online.length,
+      offlineCount: offline.length,
+      offline,
+      averages,
+    };
+  });
+};
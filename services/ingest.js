@@ -0,0 +1,306 @@
+import { ALERT_SEVERITIES, Device } from "../db/models.js";
+import { httpError } from "../utils/errors.js";
+import { validatePayload } from "../utils/schema.js";
+import { createAlert } from "./alerts.js";
+import { calibrateReadings } from "./calibration.js";
+import { withDerivedMetrics } from "./derived.js";
+import { trackFirmwareUpdate } from "./firmware.js";
+import { assessBatch, assessReading, stripNanFields } from "./quality.js";
+import { CONFIG_SCHEMA, reconcileConfig } from "./config.js";
+import {
+  recordRejection,
+  saveDeviceStatus,
+  saveSensorBatch,
+  saveSensorData,
+  updateConnectionTimeout,
+} from "./deviceState.js";
+import { registerDevice } from "./devices.js";
+
+// Device payload handling shared by every transport (HTTP, MQTT, serial).
+// Invalid payloads are counted per device and throw a 400 error whose
+// `details` list the offending fields
+
+// Reading payload: { temperature, humidity, ldr }
+// Ranges are what the DHT22 and the ESP32's 12-bit ADC can report
+export const READING_SCHEMA = {
+  temperature: { type: "number", required: true, min: -40, max: 80 },
+  humidity: { type: "number", required: true, min: 0, max: 100 },
+  ldr: { type: "integer", required: true, min: 0, max: 4095 },
+};
+
+// Status payload: the fields of deviceStatusSchema, including the
+// configurable settings
+export const STATUS_SCHEMA = {
+  uptime: { type: "number", min: 0 },
+  totalReadings: { type: "integer", min: 0 },
+  ipAddress: { type: "string", maxLength: 45 },
+  rssi: { type: "integer", min: -120, max: 0 },
+  firmwareVersion: { type: "string", maxLength: 32 },
+  board: { type: "string", maxLength: 32 },
+  // Firmware update progress (see services/firmware.js)
+  otaStatus: {
+    type: "string",
+    enum: ["downloading", "installing", "succeeded", "failed"],
+  },
+  otaProgress: { type: "integer", min: 0, max: 100 },
+  otaError: { type: "string", maxLength: 200 },
+  ...CONFIG_SCHEMA,
+};
+
+// Alert payload: { message, severity? ("info", "warning" or "critical") }
+export const ALERT_SCHEMA = {
+  message: { type: "string", required: true, maxLength: 500 },
+  severity: { type: "string", enum: ALERT_SEVERITIES },
+};
+
+// Command result payload: { success?, result? }
+export const ACK_SCHEMA = {
+  success: { type: "boolean" },
+  result: { type: "string", maxLength: 1000 },
+};
+
+// Validate a payload, or count the rejection and throw a 400.
+// Unless `allowEmpty`, a payload with no known fields is rejected
+export const parsePayload = async (
+  deviceId,
+  kind,
+  schema,
+  payload,
+  { partial = false, allowEmpty = false } = {}
+) => {
+  const { value, errors } = validatePayload(schema, payload, { partial });
+  if (errors.length === 0 && Object.keys(value).length === 0 && !allowEmpty) {
+    errors.push({ field: null, message: "payload has no known fields" });
+  }
+
+  if (errors.length > 0) {
+    await recordRejection(deviceId, kind);
+    console.log(
+      `⚠️ Rejected ${kind} from ${deviceId}:`,
+      errors.map((e) => `${e.field || kind} ${e.message}`).join("; ")
+    );
+    throw httpError(400, `Invalid ${kind}`, errors);
+  }
+  return value;
+};
+
+// Readings are stored with the device's calibration applied (see
+// services/calibration.js), derived metrics added (services/derived.js)
+// and quality flags set by the sensor-health checks (services/quality.js).
+// With `partial`, readings may omit fields (the serial sketch can turn
+// sensors off), but every field sent must still be valid. Temperature and
+// humidity sent as NaN/null (a failed DHT read) are dropped and the
+// reading is flagged; one with nothing else left is rejected
+export const ingestReading = async (
+  deviceId,
+  payload,
+  { partial = false } = {}
+) => {
+  const { payload: cleaned, nanFields } = stripNanFields(payload);
+  const failedRead = nanFields.length > 0;
+  const reading = await parsePayload(
+    deviceId,
+    "reading",
+    READING_SCHEMA,
+    cleaned,
+    { partial: partial || failedRead, allowEmpty: failedRead }
+  );
+
+  const [calibrated] = await calibrateReadings(deviceId, [reading]);
+  const assessed = await assessReading(
+    deviceId,
+    withDerivedMetrics(calibrated),
+    { nanFields }
+  );
+
+  if (Object.keys(reading).length === 0) {
+    await recordRejection(deviceId, "reading");
+    throw httpError(
+      400,
+      "Sensor read failed",
+      nanFields.map((field) => ({ field, message: "is NaN" }))
+    );
+  }
+  return saveSensorData(deviceId, assessed);
+};
+
+// Batch payload: { bootId?, millis?, readings: [...] }
+// Each reading carries either a `timestamp` (ISO string, or epoch seconds
+// or milliseconds) or a `millis` value from the device's millis() clock;
+// the latter needs the batch's `bootId` and `millis` (the device clock when
+// sending) to be turned into a time, and replays are matched on
+// bootId + millis instead of the timestamp
+export const BATCH_SCHEMA = {
+  bootId: { type: "string", maxLength: 64 },
+  millis: { type: "integer", min: 0 },
+};
+
+export const MAX_BATCH_SIZE = 500;
+
+// Timestamps outside this window come from an unset or drifting clock
+const EARLIEST_READING_TIME = Date.UTC(2020, 0, 1);
+const MAX_CLOCK_SKEW = 5 * 60 * 1000; // 5 minutes ahead of the server
+
+// Work out a buffered reading's time and dedup key
+// Returns { timestamp, dedupKey } or { error: { field, message, value } }
+const resolveReadingTime = (item, batch, receivedAt) => {
+  if (item.timestamp !== undefined) {
+    const raw = item.timestamp;
+    let time = NaN;
+    if (typeof raw === "number" || /^\d+$/.test(raw)) {
+      time = Number(raw);
+      if (time < 1e11) time *= 1000; // Epoch seconds
+    } else if (typeof raw === "string") {
+      time = Date.parse(raw);
+    }
+
+    if (
+      !Number.isFinite(time) ||
+      time < EARLIEST_READING_TIME ||
+      time > receivedAt + MAX_CLOCK_SKEW
+    ) {
+      return {
+        error: {
+          field: "timestamp",
+          message: "is not a valid time",
+          value: raw,
+        },
+      };
+    }
+    return { timestamp: new Date(time), dedupKey: `ts:${time}` };
+  }
+
+  if (item.millis !== undefined) {
+    if (batch.bootId === undefined || batch.millis === undefined) {
+      return {
+        error: {
+          field: "millis",
+          message: "needs the batch's bootId and millis",
+        },
+      };
+    }
+    const millis = Number(item.millis);
+    if (!Number.isInteger(millis) || millis < 0 || millis > batch.millis) {
+      return {
+        error: {
+          field: "millis",
+          message: `must be between 0 and ${batch.millis}`,
+          value: item.millis,
+        },
+      };
+    }
+    return {
+      timestamp: new Date(receivedAt - (batch.millis - millis)),
+      dedupKey: `boot:${batch.bootId}:${millis}`,
+    };
+  }
+
+  return {
+    error: { field: "timestamp", message: "timestamp or millis is required" },
+  };
+};
+
+// Store a batch of buffered readings. Invalid readings are counted and
+// reported (by index) without failing the rest of the batch; the batch
+// fails with a 400 only if it is malformed or no reading is valid.
+// Returns { received, inserted, duplicates, rejected }
+export const ingestBatch = async (deviceId, payload) => {
+  const batch = await parsePayload(deviceId, "batch", BATCH_SCHEMA, payload, {
+    allowEmpty: true,
+  });
+
+  const { readings } = payload;
+  if (!Array.isArray(readings) || readings.length === 0) {
+    await recordRejection(deviceId, "batch");
+    throw httpError(400, "readings must be a non-empty list");
+  }
+  if (readings.length > MAX_BATCH_SIZE) {
+    await recordRejection(deviceId, "batch");
+    throw httpError(400, `A batch can hold at most ${MAX_BATCH_SIZE} readings`);
+  }
+
+  const receivedAt = Date.now();
+  const accepted = [];
+  const rejected = [];
+  readings.forEach((item, index) => {
+    const { value, errors } = validatePayload(READING_SCHEMA, item);
+    if (errors.length === 0) {
+      const time = resolveReadingTime(item, batch, receivedAt);
+      if (time.error) {
+        errors.push(time.error);
+      } else {
+        accepted.push({ ...value, ...time });
+      }
+    }
+    errors.forEach((error) => rejected.push({ index, ...error }));
+  });
+
+  const rejectedCount = new Set(rejected.map((error) => error.index)).size;
+  if (rejectedCount > 0) {
+    await recordRejection(deviceId, "reading", rejectedCount);
+    console.log(
+      `⚠️ Rejected ${rejectedCount} of ${readings.length} buffered readings from ${deviceId}`
+    );
+  }
+  if (accepted.length === 0) {
+    throw httpError(400, "Invalid batch", rejected);
+  }
+
+  const calibrated = await calibrateReadings(deviceId, accepted);
+  const { inserted, duplicates } = await saveSensorBatch(
+    deviceId,
+    await assessBatch(deviceId, calibrated.map(withDerivedMetrics))
+  );
+  return { received: readings.length, inserted, duplicates, rejected };
+};
+
+export const ingestStatus = async (deviceId, payload) => {
+  const statusData = await parsePayload(
+    deviceId,
+    "status",
+    STATUS_SCHEMA,
+    payload,
+    { partial: true, allowEmpty: true }
+  );
+  const status = await saveDeviceStatus(deviceId, statusData);
+
+  // The command catalogue and firmware rollouts go by these
+  const identity = {};
+  ["firmwareVersion", "board"].forEach((field) => {
+    if (statusData[field] !== undefined) identity[field] = statusData[field];
+  });
+  if (Object.keys(identity).length > 0) {
+    await Device.updateOne({ deviceId }, { $set: identity });
+  }
+  await trackFirmwareUpdate(deviceId, statusData);
+
+  // Re-send any setting the device reports differently from its config
+  await reconcileConfig(deviceId, statusData);
+
+  // A longer sampling interval means a longer wait before going offline
+  if (statusData.samplingInterval !== undefined) {
+    await updateConnectionTimeout(deviceId);
+  }
+  return status;
+};
+
+export const ingestAlert = async (deviceId, payload) => {
+  const { message, severity } = await parsePayload(
+    deviceId,
+    "alert",
+    ALERT_SCHEMA,
+    payload
+  );
+
+  // Save to MongoDB
+  await registerDevice(deviceId);
+  const alert = await createAlert({
+    deviceId,
+    message,
+    severity,
+    source: "device",
+  });
+
+  console.log(`🚨 Alert received (${deviceId}):`, message);
+  return alert;
+};
@@ -0,0 +1,113 @@
+import { NotificationChannel, NotificationDelivery } from "../db/models.js";
+import notifiers from "../notifiers/index.js";
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 1000; // Doubled after every failed attempt
+
+// On Vercel the request waits for delivery within the function's time
+// limit, so each channel gets one attempt of at most this long; failures
+// are left in the delivery log
+const SERVERLESS_TIMEOUT = 3000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Reject if the promise hasn't settled within ms
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// JSON body sent to every channel type
+export const buildAlertPayload = (alert, { test = false } = {}) => ({
+  event: test ? "alert.test" : "alert.created",
+  test,
+  alert: {
+    id: alert._id,
+    deviceId: alert.deviceId,
+    message: alert.message,
+    severity: alert.severity,
+    source: alert.source,
+    state: alert.state,
+    ruleId: alert.ruleId,
+    reading: alert.reading,
+    timestamp: alert.timestamp,
+  },
+});
+
+const channelMatchesAlert = (channel, alert) => {
+  const severities = channel.severities || [];
+  const ruleIds = channel.ruleIds || [];
+
+  if (severities.length === 0 && ruleIds.length === 0) {
+    return true;
+  }
+  return (
+    severities.includes(alert.severity) ||
+    Boolean(alert.ruleId && ruleIds.some((id) => id.equals(alert.ruleId)))
+  );
+};
+
+// Send a payload to one channel, retrying with backoff (once, with a
+// short timeout, on Vercel), and log the outcome
+export const deliverToChannel = async (
+  channel,
+  payload,
+  { test = false } = {}
+) => {
+  const notifier = notifiers[channel.type];
+  const serverless = Boolean(process.env.VERCEL);
+  const maxAttempts = serverless ? 1 : MAX_ATTEMPTS;
+  let attempts = 0;
+  let lastError = null;
+
+  while (attempts < maxAttempts) {
+    attempts++;
+    try {
+      const sending = notifier.send(channel.config || {}, payload);
+      await (serverless ? withTimeout(sending, SERVERLESS_TIMEOUT) : sending);
+      lastError = null;
+      break;
+    } catch (err) {
+      lastError = err;
+      if (attempts < maxAttempts) {
+        await sleep(RETRY_DELAY * 2 ** (attempts - 1));
+      }
+    }
+  }
+
+  const delivery = new NotificationDelivery({
+    channelId: channel._id,
+    alertId: test ? undefined : payload.alert.id,
+    channelType: channel.type,
+    status: lastError ? "failed" : "success",
+    attempts,
+    error: lastError ? lastError.message : undefined,
+    test,
+  });
+  await delivery.save();
+
+  if (lastError) {
+    console.error(
+      `❌ Notification via ${channel.name} failed after ${attempts} attempt(s):`,
+      lastError.message
+    );
+  } else {
+    console.log(`📣 Notification sent via ${channel.name}`);
+  }
+  return delivery;
+};
+
+// ✅ Send a new alert to every enabled channel that wants it
+export const notifyAlert = async (alert) => {
+  const channels = await NotificationChannel.find({ enabled: true });
+  const payload = buildAlertPayload(alert);
+
+  return Promise.all(
+    channels
+      .filter((channel) => channelMatchesAlert(channel, alert))
+      .map((channel) => deliverToChannel(channel, payload))
+  );
+};
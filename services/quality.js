@@ -0,0 +1,192 @@
+import { SensorData, SensorHealth } from "../db/models.js";
+import { formatDuration } from "../utils/time.js";
+import { createAlert } from "./alerts.js";
+
+// Sensor-health checks run on incoming readings. A reading is flagged
+// "suspect" when:
+//   nan          - the DHT read failed (sent as NaN/null) for some fields
+//   flatline     - temperature or humidity hasn't changed for hours,
+//                  typical of a dying DHT22
+//   spike        - a value is far off the recent readings (robust z-score
+//                  against the median and MAD of a rolling window)
+//   out_of_order - a buffered reading is older than the one before it
+// Each issue raises one sensor-health alert per episode
+
+const CHECKED_METRICS = ["temperature", "humidity"];
+
+const FLATLINE_DURATION = 2 * 60 * 60 * 1000; // 2 hours
+const FLATLINE_MIN_READINGS = 10;
+
+const SPIKE_WINDOW = 30; // Previous readings compared against
+const SPIKE_MIN_WINDOW = 10;
+const SPIKE_THRESHOLD = 3.5; // Modified z-score (Iglewicz and Hoaglin)
+// Smallest spread assumed, so a very steady window doesn't turn sensor
+// noise into spikes
+const MIN_MAD = { temperature: 0.2, humidity: 1 };
+
+const NAN_BURST = 3; // Failed reads in a row before alerting
+
+const isNanValue = (value) =>
+  value === null ||
+  (typeof value === "number" && Number.isNaN(value)) ||
+  (typeof value === "string" && /^\s*[-+]?nan\s*$/i.test(value));
+
+// Drop temperature/humidity fields holding a failed read from a reading
+// payload. Returns { payload, nanFields }
+export const stripNanFields = (payload) => {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { payload, nanFields: [] };
+  }
+
+  const cleaned = { ...payload };
+  const nanFields = CHECKED_METRICS.filter((field) =>
+    isNanValue(payload[field])
+  );
+  nanFields.forEach((field) => delete cleaned[field]);
+  return { payload: cleaned, nanFields };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Metrics of `reading` that are spikes against the window, with the
+// window median for the alert message
+const findSpikes = (reading, window) => {
+  const spikes = [];
+  CHECKED_METRICS.forEach((metric) => {
+    const value = reading[metric];
+    const values = window
+      .map((previous) => previous[metric])
+      .filter((previous) => typeof previous === "number");
+    if (typeof value !== "number" || values.length < SPIKE_MIN_WINDOW) return;
+
+    const center = median(values);
+    const mad = median(values.map((previous) => Math.abs(previous - center)));
+    const score = (0.6745 * (value - center)) / Math.max(mad, MIN_MAD[metric]);
+    if (Math.abs(score) > SPIKE_THRESHOLD) {
+      spikes.push({ metric, value, median: center });
+    }
+  });
+  return spikes;
+};
+
+// Raise a sensor-health alert
+const raiseHealthAlert = (deviceId, message) =>
+  createAlert({
+    deviceId,
+    message: `Sensor health: ${message}`,
+    severity: "warning",
+    source: "health",
+  });
+
+// Quality fields for a set of flags
+const qualityFields = (flags) =>
+  flags.length > 0
+    ? { quality: "suspect", qualityFlags: flags }
+    : { quality: "good" };
+
+// ✅ Check a live reading (before it's stored) and update the device's
+// health state. `nanFields` are the fields stripped as failed reads.
+// Returns the reading with its quality fields set
+export const assessReading = async (deviceId, reading, { nanFields = [] }) => {
+  const now = new Date();
+  const health = (await SensorHealth.findOne({ deviceId }).lean()) || {};
+  const previousIssues = health.issues || [];
+  const flags = [];
+  const messages = {};
+
+  // Failed reads
+  const nanStreak = nanFields.length > 0 ? (health.nanStreak || 0) + 1 : 0;
+  if (nanFields.length > 0) flags.push("nan");
+
+  // Values stuck at the same reading
+  const unchanged = { ...(health.unchanged || {}) };
+  CHECKED_METRICS.forEach((metric) => {
+    const value = reading[metric];
+    if (typeof value !== "number") return;
+
+    const previous = unchanged[metric];
+    unchanged[metric] =
+      previous && previous.value === value
+        ? { value, since: previous.since, count: previous.count + 1 }
+        : { value, since: now, count: 1 };
+
+    const { since, count } = unchanged[metric];
+    const heldFor = now - new Date(since);
+    if (count >= FLATLINE_MIN_READINGS && heldFor >= FLATLINE_DURATION) {
+      if (!flags.includes("flatline")) flags.push("flatline");
+      messages.flatline = `${metric} stuck at ${value} for ${formatDuration(
+        heldFor
+      )}`;
+    }
+  });
+
+  // Sudden jumps against the recent readings
+  const window = await SensorData.find(
+    { deviceId },
+    { temperature: 1, humidity: 1 }
+  )
+    .sort({ timestamp: -1 })
+    .limit(SPIKE_WINDOW)
+    .lean();
+  const spikes = findSpikes(reading, window);
+  if (spikes.length > 0) {
+    flags.push("spike");
+    messages.spike = spikes
+      .map(
+        ({ metric, value, median: center }) =>
+          `${metric} jumped to ${value} (recent median ${center})`
+      )
+      .join(", ");
+  }
+
+  // Issues currently alerted on; failed reads only count as a burst
+  const issues = flags.filter((flag) => flag !== "nan");
+  if (nanStreak >= NAN_BURST) {
+    issues.push("nan");
+    messages.nan = `${nanStreak} failed DHT reads in a row (${nanFields.join(
+      ", "
+    )})`;
+  }
+
+  await SensorHealth.updateOne(
+    { deviceId },
+    { $set: { unchanged, nanStreak, issues, updatedAt: now } },
+    { upsert: true }
+  );
+
+  for (const issue of issues) {
+    if (previousIssues.includes(issue)) continue;
+    await raiseHealthAlert(deviceId, messages[issue]);
+    console.log(`🩺 Sensor health issue (${deviceId}): ${messages[issue]}`);
+  }
+
+  return { ...reading, ...qualityFields(flags) };
+};
+
+// ✅ Check buffered readings, in upload order: each one older than the
+// one before it is flagged out_of_order (one alert per batch).
+// Returns the readings with their quality fields set
+export const assessBatch = async (deviceId, readings) => {
+  let outOfOrder = 0;
+  const assessed = readings.map((reading, index) => {
+    const flags = [];
+    if (index > 0 && reading.timestamp < readings[index - 1].timestamp) {
+      flags.push("out_of_order");
+      outOfOrder++;
+    }
+    return { ...reading, ...qualityFields(flags) };
+  });
+
+  if (outOfOrder > 0) {
+    const message = `${outOfOrder} of ${readings.length} buffered readings arrived out of order`;
+    await raiseHealthAlert(deviceId, message);
+    console.log(`🩺 Sensor health issue (${deviceId}): ${message}`);
+  }
+  return assessed;
+};
@@ -0,0 +1,357 @@
+import {
+  DERIVED_METRICS,
+  RollupState,
+  SensorData,
+  SensorRollup5m,
+  SensorRollupDaily,
+} from "../db/models.js";
+import { DEFAULT_DEVICE_ID } from "./devices.js";
+
+export const SENSOR_METRICS = [
+  "temperature",
+  "humidity",
+  "ldr",
+  "lux",
+  ...DERIVED_METRICS,
+];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Storage tiers, finest first. Each rollup tier is computed from its
+// source tier; `maxSpan` caps how much one job run processes, so a large
+// backlog is caught up over several runs
+export const TIERS = {
+  raw: { model: SensorData, ms: 0 },
+  "5m": {
+    model: SensorRollup5m,
+    source: "raw",
+    unit: "minute",
+    binSize: 5,
+    ms: 5 * MINUTE,
+    maxSpan: 7 * DAY,
+  },
+  "1d": {
+    model: SensorRollupDaily,
+    source: "5m",
+    unit: "day",
+    binSize: 1,
+    ms: DAY,
+    maxSpan: 365 * DAY,
+  },
+};
+
+const TIER_ORDER = ["raw", "5m", "1d"];
+
+// Days to keep each tier. Unset env vars use the defaults; "0" keeps the
+// tier forever
+const DEFAULT_RETENTION_DAYS = { raw: 30, "5m": 365, "1d": 0 };
+const RETENTION_ENV = {
+  raw: "RETENTION_RAW_DAYS",
+  "5m": "RETENTION_5M_DAYS",
+  "1d": "RETENTION_DAILY_DAYS",
+};
+
+// Retention per tier in milliseconds, or null to keep forever
+export const getRetention = () => {
+  const retention = {};
+  TIER_ORDER.forEach((tier) => {
+    const value = process.env[RETENTION_ENV[tier]];
+    const days =
+      value === undefined || value === "" || isNaN(parseFloat(value))
+        ? DEFAULT_RETENTION_DAYS[tier]
+        : parseFloat(value);
+    retention[tier] = days > 0 ? days * DAY : null;
+  });
+  return retention;
+};
+
+// Oldest time a tier still holds data for, or null if it keeps everything
+const tierCutoff = (tier, retention, now) =>
+  retention[tier] === null ? null : new Date(now - retention[tier]);
+
+const floorTo = (date, ms) => new Date(Math.floor(date.getTime() / ms) * ms);
+
+// computedUntil per rollup tier, e.g. { "5m": Date, "1d": Date }
+export const getWatermarks = async () => {
+  const watermarks = {};
+  const states = await RollupState.find().lean();
+  states.forEach((state) => {
+    watermarks[state.tier] = state.computedUntil;
+  });
+  return watermarks;
+};
+
+// Readings were stored for times the rollups already cover (e.g. an
+// offline batch upload): recompute rollups from that time on the next run
+export const invalidateRollups = async (since) => {
+  await RollupState.updateMany(
+    { computedUntil: { $gt: since } },
+    { $set: { computedUntil: since } }
+  );
+};
+
+// Pick the tier to read for a range starting at `start`: the finest tier
+// still holding data for it whose buckets fit `bucketMs` (if given).
+// Daily buckets are UTC days, so they only fit in UTC. If no tier fits,
+// fall back to the finest tier that still has data
+export const selectTier = ({
+  start,
+  bucketMs,
+  timezone = "UTC",
+  now = new Date(),
+}) => {
+  const retention = getRetention();
+  const covering = TIER_ORDER.filter((tier) => {
+    const cutoff = tierCutoff(tier, retention, now);
+    return !cutoff || start >= cutoff;
+  });
+
+  const fitting = covering.find((tier) => {
+    const { ms } = TIERS[tier];
+    if (ms === 0 || bucketMs === undefined) return true;
+    return bucketMs % ms === 0 && (ms < DAY || timezone === "UTC");
+  });
+  return fitting || covering[0] || TIER_ORDER[TIER_ORDER.length - 1];
+};
+
+// Raw readings in the same shape as rollup documents. Readings stored
+// before data was kept per device have no deviceId (until the startup
+// migration assigns one); they count as DEFAULT_DEVICE_ID's, as $merge
+// can't match rollups on a missing key
+const RAW_AS_ROLLUP = {
+  $project: {
+    _id: 0,
+    deviceId: { $ifNull: ["$deviceId", DEFAULT_DEVICE_ID] },
+    bucket: "$timestamp",
+    count: { $literal: 1 },
+    ...Object.fromEntries(
+      SENSOR_METRICS.map((metric) => [
+        metric,
+        { avg: `$${metric}`, min: `$${metric}`, max: `$${metric}` },
+      ])
+    ),
+  },
+};
+
+// Aggregation pipeline yielding rollup-shaped documents for `tier` between
+// start (inclusive) and end (exclusive). The part of the range the tier
+// hasn't been computed for yet is read from its source tier ($unionWith),
+// so recent data is never missing. Returns { model, pipeline }
+export const buildTierPipeline = (
+  tier,
+  { filter = {}, start, end },
+  watermarks
+) => {
+  if (tier === "raw") {
+    return {
+      model: SensorData,
+      pipeline: [
+        { $match: { ...filter, timestamp: { $gte: start, $lt: end } } },
+        RAW_AS_ROLLUP,
+      ],
+    };
+  }
+
+  const { model, source } = TIERS[tier];
+  const computedUntil = watermarks[tier];
+  if (!computedUntil || computedUntil <= start) {
+    return buildTierPipeline(source, { filter, start, end }, watermarks);
+  }
+
+  const until = computedUntil < end ? computedUntil : end;
+  const pipeline = [
+    { $match: { ...filter, bucket: { $gte: start, $lt: until } } },
+    { $project: { _id: 0, __v: 0 } },
+  ];
+  if (until < end) {
+    const rest = buildTierPipeline(
+      source,
+      { filter, start: until, end },
+      watermarks
+    );
+    pipeline.push({
+      $unionWith: { coll: rest.model.collection.name, pipeline: rest.pipeline },
+    });
+  }
+  return { model, pipeline };
+};
+
+// Stages merging rollup-shaped documents into larger buckets: counts add
+// up, averages are weighted by count, min/max combine. `bucket` is the
+// $dateTrunc spec; with `perDevice` each device gets its own buckets
+export const combineRollupStages = (bucket, { perDevice = true } = {}) => {
+  const group = {
+    _id: { bucket: { $dateTrunc: { date: "$bucket", ...bucket } } },
+    count: { $sum: "$count" },
+  };
+  if (perDevice) group._id.deviceId = "$deviceId";
+
+  const project = {
+    _id: 0,
+    bucket: "$_id.bucket",
+    count: 1,
+  };
+  if (perDevice) project.deviceId = "$_id.deviceId";
+
+  SENSOR_METRICS.forEach((metric) => {
+    group[`${metric}Sum`] = {
+      $sum: { $multiply: [`$${metric}.avg`, "$count"] },
+    };
+    group[`${metric}Weight`] = {
+      $sum: { $cond: [{ $isNumber: `$${metric}.avg` }, "$count", 0] },
+    };
+    group[`${metric}Min`] = { $min: `$${metric}.min` };
+    group[`${metric}Max`] = { $max: `$${metric}.max` };
+
+    project[metric] = {
+      avg: {
+        $cond: [
+          { $gt: [`$${metric}Weight`, 0] },
+          { $divide: [`$${metric}Sum`, `$${metric}Weight`] },
+          null,
+        ],
+      },
+      min: `$${metric}Min`,
+      max: `$${metric}Max`,
+    };
+  });
+
+  return [{ $group: group }, { $project: project }];
+};
+
+// Newest-first readings from a rollup tier, shaped like SensorData
+// documents: metric values are bucket averages, `timestamp` is the bucket
+// start and `count` the number of raw readings behind it
+export const findTierReadings = async (
+  tier,
+  { filter, start, end, limit },
+  watermarks
+) => {
+  const { model, pipeline } = buildTierPipeline(
+    tier,
+    { filter, start, end },
+    watermarks
+  );
+  const rows = await model.aggregate([
+    ...pipeline,
+    { $sort: { bucket: -1 } },
+    { $limit: limit },
+  ]);
+
+  return rows.map((row) => {
+    const reading = { deviceId: row.deviceId, timestamp: row.bucket };
+    SENSOR_METRICS.forEach((metric) => {
+      reading[metric] = row[metric] ? row[metric].avg : null;
+    });
+    reading.count = row.count;
+    return reading;
+  });
+};
+
+// Where the source tier's data starts, floored to the tier's bucket size
+const earliestSourceTime = async (tier) => {
+  const { source, ms } = TIERS[tier];
+  const field = source === "raw" ? "timestamp" : "bucket";
+  const first = await TIERS[source].model
+    .findOne({}, { [field]: 1 })
+    .sort({ [field]: 1 })
+    .lean();
+  return first ? floorTo(first[field], ms) : null;
+};
+
+// Compute complete buckets of a rollup tier from its watermark onwards
+// and advance the watermark. Re-running is safe: buckets are replaced.
+// Returns the number of rollup documents written
+export const computeRollups = async (tier, now = new Date()) => {
+  const { model, source, unit, binSize, ms, maxSpan } = TIERS[tier];
+  const watermarks = await getWatermarks();
+
+  const from = watermarks[tier]
+    ? floorTo(watermarks[tier], ms)
+    : await earliestSourceTime(tier);
+  if (!from) return 0;
+
+  // Only complete buckets, and only as far as the source tier is complete
+  let until = floorTo(now, ms);
+  if (source !== "raw") {
+    if (!watermarks[source]) return 0;
+    until = floorTo(
+      watermarks[source] < until ? watermarks[source] : until,
+      ms
+    );
+  }
+  if (until - from > maxSpan) {
+    until = new Date(from.getTime() + maxSpan);
+  }
+  if (until <= from) return 0;
+
+  const { model: sourceModel, pipeline } = buildTierPipeline(
+    source,
+    { start: from, end: until },
+    watermarks
+  );
+  await sourceModel.aggregate([
+    ...pipeline,
+    ...combineRollupStages({ unit, binSize }),
+    {
+      $merge: {
+        into: model.collection.name,
+        on: ["deviceId", "bucket"],
+        whenMatched: "replace",
+        whenNotMatched: "insert",
+      },
+    },
+  ]);
+
+  await RollupState.updateOne(
+    { tier },
+    { $set: { computedUntil: until, lastRunAt: new Date() } },
+    { upsert: true }
+  );
+  return model.countDocuments({ bucket: { $gte: from, $lt: until } });
+};
+
+// Delete data past each tier's retention, but never data the next tier
+// hasn't rolled up yet. Returns the number of documents deleted per tier
+export const pruneExpired = async (now = new Date()) => {
+  const retention = getRetention();
+  const watermarks = await getWatermarks();
+  const deleted = {};
+
+  for (let i = 0; i < TIER_ORDER.length; i++) {
+    const tier = TIER_ORDER[i];
+    const next = TIER_ORDER[i + 1];
+    let cutoff = tierCutoff(tier, retention, now);
+    if (!cutoff) continue;
+
+    if (next) {
+      if (!watermarks[next]) continue;
+      if (watermarks[next] < cutoff) cutoff = watermarks[next];
+      cutoff = floorTo(cutoff, TIERS[next].ms);
+    }
+
+    const field = tier === "raw" ? "timestamp" : "bucket";
+    const result = await TIERS[tier].model.deleteMany({
+      [field]: { $lt: cutoff },
+    });
+    deleted[tier] = result.deletedCount;
+  }
+  return deleted;
+};
+
+// ✅ Scheduled retention job: roll up new data, then delete expired data.
+// Run periodically by the long-lived server, or via the admin endpoint
+export const runRetention = async () => {
+  const rolledUp = {};
+  for (const tier of TIER_ORDER.slice(1)) {
+    rolledUp[tier] = await computeRollups(tier);
+  }
+  const deleted = await pruneExpired();
+
+  const total = Object.values(deleted).reduce((sum, n) => sum + n, 0);
+  if (total > 0 || Object.values(rolledUp).some((n) => n > 0)) {
+    console.log("🗄️ Retention run:", { rolledUp, deleted });
+  }
+  return { rolledUp, deleted };
+};
@@ -0,0 +1,180 @@
+import {
+  DERIVED_METRICS,
+  DeviceStatus,
+  Rule,
+  RuleState,
+} from "../db/models.js";
+import { createAlert } from "./alerts.js";
+
+const COMPARATORS = {
+  ">": (value, threshold) => value > threshold,
+  ">=": (value, threshold) => value >= threshold,
+  "<": (value, threshold) => value < threshold,
+  "<=": (value, threshold) => value <= threshold,
+};
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const isValidTimeOfDay = (value) => TIME_OF_DAY_PATTERN.test(value);
+
+const toMinutes = (timeOfDay) => {
+  const [, hours, minutes] = timeOfDay.match(TIME_OF_DAY_PATTERN);
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+// Minutes since midnight for a date in the given IANA timezone
+const getMinutesOfDay = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const hours = parseInt(parts.find((part) => part.type === "hour").value);
+  const minutes = parseInt(parts.find((part) => part.type === "minute").value);
+  return hours * 60 + minutes;
+};
+
+// Whether a rule applies at this time of day (windows may wrap midnight)
+const isWithinActiveWindow = (rule, date) => {
+  if (!rule.activeFrom && !rule.activeTo) {
+    return true;
+  }
+
+  const now = getMinutesOfDay(date, rule.timezone || "UTC");
+  const from = rule.activeFrom ? toMinutes(rule.activeFrom) : 0;
+  const to = rule.activeTo ? toMinutes(rule.activeTo) : 24 * 60;
+
+  return from <= to ? now >= from && now < to : now >= from || now < to;
+};
+
+// The rule's threshold: fixed, or read from the device's latest status
+const resolveThreshold = async (rule, deviceId) => {
+  if (!rule.thresholdField) {
+    return rule.threshold;
+  }
+
+  const status = await DeviceStatus.findOne({
+    deviceId,
+    [rule.thresholdField]: { $ne: null },
+  }).sort({ timestamp: -1 });
+  return status ? status[rule.thresholdField] : undefined;
+};
+
+// A firing rule only clears once the value is back past the threshold by
+// the hysteresis margin, so a value hovering around it doesn't flap
+const isCleared = (rule, value, threshold) => {
+  const hysteresis = rule.hysteresis || 0;
+  const isUpperBound = rule.operator === ">" || rule.operator === ">=";
+  const clearThreshold = isUpperBound
+    ? threshold - hysteresis
+    : threshold + hysteresis;
+  return !COMPARATORS[rule.operator](value, clearThreshold);
+};
+
+const describeRule = (rule, value, threshold) => {
+  let message = `${rule.name}: ${rule.metric} is ${value} (${rule.operator} ${threshold}`;
+  if (rule.duration > 0) message += ` for ${rule.duration}s`;
+  return message + ")";
+};
+
+// Evaluate one rule for one reading; returns the alert raised, if any
+const evaluateRule = async (rule, deviceId, reading) => {
+  const value = reading[rule.metric];
+  if (typeof value !== "number" || Number.isNaN(value)) {
+    return null; // This reading doesn't carry the rule's metric
+  }
+
+  const threshold = await resolveThreshold(rule, deviceId);
+  if (typeof threshold !== "number") {
+    return null;
+  }
+
+  const now = reading.timestamp || new Date();
+  const ruleState =
+    (await RuleState.findOne({ ruleId: rule._id, deviceId })) ||
+    new RuleState({ ruleId: rule._id, deviceId });
+
+  const isActive = isWithinActiveWindow(rule, now);
+  const conditionMet = isActive && COMPARATORS[rule.operator](value, threshold);
+  let alert = null;
+
+  if (conditionMet) {
+    if (ruleState.state === "ok") {
+      ruleState.state = "pending";
+      ruleState.pendingSince = now;
+    }
+
+    const heldFor = now - ruleState.pendingSince;
+    const coolingDown =
+      ruleState.lastFiredAt &&
+      now - ruleState.lastFiredAt < (rule.cooldown || 0) * 1000;
+
+    // Still cooling down: stay pending and fire once the cooldown is over
+    if (
+      ruleState.state === "pending" &&
+      heldFor >= (rule.duration || 0) * 1000 &&
+      !coolingDown
+    ) {
+      alert = await createAlert({
+        deviceId,
+        message: describeRule(rule, value, threshold),
+        severity: rule.severity,
+        source: "rule",
+        ruleId: rule._id,
+        reading: {
+          temperature: reading.temperature,
+          humidity: reading.humidity,
+          ldr: reading.ldr,
+          ...Object.fromEntries(
+            DERIVED_METRICS.map((metric) => [metric, reading[metric]])
+          ),
+          timestamp: now,
+        },
+      });
+
+      ruleState.state = "firing";
+      ruleState.lastFiredAt = now;
+      console.log(`🚨 Rule alert (${deviceId}):`, alert.message);
+    }
+  } else if (ruleState.state === "pending") {
+    ruleState.state = "ok";
+    ruleState.pendingSince = null;
+  } else if (
+    ruleState.state === "firing" &&
+    (!isActive || isCleared(rule, value, threshold))
+  ) {
+    ruleState.state = "ok";
+    ruleState.pendingSince = null;
+  }
+
+  await ruleState.save();
+  return alert;
+};
+
+// ✅ Evaluate every enabled rule that applies to this device against a
+// reading; returns the alerts raised. Errors are logged, not thrown, so a
+// broken rule never loses the reading itself
+export const evaluateRules = async (deviceId, reading) => {
+  const alerts = [];
+
+  try {
+    const rules = await Rule.find({
+      enabled: true,
+      $or: [{ deviceId }, { deviceId: null }],
+    });
+
+    for (const rule of rules) {
+      try {
+        const alert = await evaluateRule(rule, deviceId, reading);
+        if (alert) alerts.push(alert);
+      } catch (err) {
+        console.error(`❌ Error evaluating rule ${rule.name}:`, err);
+      }
+    }
+  } catch (err) {
+    console.error("❌ Error loading alert rules:", err);
+  }
+
+  return alerts;
+};
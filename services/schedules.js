@@ -0,0 +1,202 @@
+import { CronExpressionParser } from "cron-parser";
+import mongoose from "mongoose";
+import { Device, Schedule } from "../db/models.js";
+import { isValidTimezone } from "../utils/time.js";
+import {
+  getFirmwareVersion,
+  isCommandAvailable,
+  parseCommand,
+  sendCommand,
+} from "./commandCatalog.js";
+import { buildTargetFilter, checkTarget, isValidDeviceId } from "./devices.js";
+
+const SCHEDULE_FIELDS = [
+  "name",
+  "deviceId",
+  "tag",
+  "groupId",
+  "command",
+  "cron",
+  "runAt",
+  "timezone",
+  "ttl",
+  "enabled",
+];
+
+// Next time a schedule fires after `after`, or null if it won't again
+export const computeNextRun = (schedule, after = new Date()) => {
+  if (schedule.cron) {
+    return CronExpressionParser.parse(schedule.cron, {
+      currentDate: after,
+      tz: schedule.timezone || "UTC",
+    })
+      .next()
+      .toDate();
+  }
+  return schedule.runAt && schedule.runAt > after ? schedule.runAt : null;
+};
+
+// Pick schedule fields out of a request body and check them
+// Returns { fields } or { error }
+export const parseScheduleFields = (body) => {
+  const fields = {};
+  SCHEDULE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (fields.name !== undefined) fields.name = String(fields.name);
+  if (fields.deviceId !== undefined && fields.deviceId !== null) {
+    if (!isValidDeviceId(fields.deviceId)) {
+      return { error: "Invalid deviceId" };
+    }
+  }
+  if (fields.tag !== undefined && fields.tag !== null) {
+    fields.tag = String(fields.tag);
+  }
+  if (fields.groupId !== undefined && fields.groupId !== null) {
+    if (!mongoose.isValidObjectId(fields.groupId)) {
+      return { error: "Invalid groupId" };
+    }
+  }
+
+  if (fields.command !== undefined) {
+    const parsed = parseCommand(fields.command);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    fields.command = parsed.command;
+  }
+
+  if (fields.cron !== undefined && fields.cron !== null) {
+    const cron = String(fields.cron).trim();
+    if (!cron.startsWith("@") && cron.split(/\s+/).length !== 5) {
+      return {
+        error: "Invalid cron. Use 5 fields: minute hour day month weekday",
+      };
+    }
+    try {
+      CronExpressionParser.parse(cron);
+    } catch (err) {
+      return { error: `Invalid cron: ${err.message}` };
+    }
+    fields.cron = cron;
+  }
+  if (fields.runAt !== undefined && fields.runAt !== null) {
+    const runAt = new Date(fields.runAt);
+    if (isNaN(runAt)) {
+      return { error: "Invalid runAt date" };
+    }
+    fields.runAt = runAt;
+  }
+
+  if (fields.timezone !== undefined && !isValidTimezone(fields.timezone)) {
+    return { error: "Invalid timezone" };
+  }
+  if (fields.ttl !== undefined && fields.ttl !== null) {
+    if (!(Number(fields.ttl) > 0)) {
+      return { error: "Invalid ttl" };
+    }
+    fields.ttl = Number(fields.ttl);
+  }
+  if (fields.enabled !== undefined && typeof fields.enabled !== "boolean") {
+    return { error: "enabled must be true or false" };
+  }
+
+  return { fields };
+};
+
+// A schedule needs exactly one target and exactly one timing
+// Returns an error message or null
+export const checkSchedule = (schedule) => {
+  const invalidTarget = checkTarget(schedule);
+  if (invalidTarget) {
+    return invalidTarget;
+  }
+  if (Boolean(schedule.cron) === Boolean(schedule.runAt)) {
+    return "Give either cron or runAt";
+  }
+  return null;
+};
+
+// Queue a schedule's command for its devices (see sendCommand), skipping
+// devices whose firmware doesn't have it. Returns the queued commands
+const fireSchedule = async (schedule) => {
+  const deviceIds = await Device.find(buildTargetFilter(schedule)).distinct(
+    "deviceId"
+  );
+
+  const parsed = parseCommand(schedule.command);
+  if (parsed.error) throw new Error(parsed.error);
+
+  const commands = [];
+  for (const deviceId of deviceIds) {
+    const version = await getFirmwareVersion(deviceId);
+    if (!isCommandAvailable(parsed.name, version)) {
+      console.log(
+        `⚠️ Schedule "${schedule.name}" skipped ${deviceId}: firmware ${
+          version || "(unreported)"
+        } has no ${parsed.name}`
+      );
+      continue;
+    }
+
+    commands.push(
+      await sendCommand(deviceId, parsed, {
+        user: `schedule:${schedule.name}`,
+        scheduleId: schedule._id,
+        ttl: schedule.ttl ? schedule.ttl * 1000 : undefined,
+      })
+    );
+  }
+  return commands;
+};
+
+// ✅ Fire every enabled schedule that is due. Each run is claimed by
+// moving nextRunAt on first, so concurrent ticks (server interval, tick
+// endpoint, several serverless instances) fire it only once. Runs missed
+// while nothing was ticking fire once, late.
+// Returns [{ scheduleId, name, commandIds }]
+export const runDueSchedules = async (now = new Date()) => {
+  const due = await Schedule.find({
+    enabled: true,
+    nextRunAt: { $lte: now },
+  })
+    .sort({ nextRunAt: 1 })
+    .lean();
+
+  const fired = [];
+  for (const schedule of due) {
+    const claimed = await Schedule.updateOne(
+      { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+      {
+        $set: { nextRunAt: computeNextRun(schedule, now), lastRunAt: now },
+        $inc: { runCount: 1 },
+      }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      const commands = await fireSchedule(schedule);
+      await Schedule.updateOne(
+        { _id: schedule._id },
+        { $set: { lastError: null } }
+      );
+      fired.push({
+        scheduleId: schedule._id,
+        name: schedule.name,
+        commandIds: commands.map((command) => command._id),
+      });
+      console.log(
+        `⏰ Schedule "${schedule.name}" fired: ${schedule.command} ` +
+          `to ${commands.length} device(s)`
+      );
+    } catch (err) {
+      console.error(`❌ Error running schedule ${schedule.name}:`, err);
+      await Schedule.updateOne(
+        { _id: schedule._id },
+        { $set: { lastError: err.message } }
+      );
+    }
+  }
+  return fired;
+};
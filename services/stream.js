@@ -0,0 +1,53 @@
+import { EventEmitter } from "events";
+
+// Event types pushed to live subscribers (SSE and WebSocket)
+export const STREAM_EVENT_TYPES = ["reading", "alert", "status", "connection"];
+
+const streamEvents = new EventEmitter();
+streamEvents.setMaxListeners(0); // One listener per open dashboard
+
+// Publish an event to every live subscriber
+export const publishEvent = (type, deviceId, data) => {
+  streamEvents.emit("event", {
+    type,
+    deviceId,
+    data,
+    timestamp: new Date(),
+  });
+};
+
+// Listen for events; returns a function that stops listening
+export const subscribe = (listener) => {
+  streamEvents.on("event", listener);
+  return () => streamEvents.off("event", listener);
+};
+
+const parseList = (value) => {
+  if (!value) return null;
+  const list = (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+  return list.length > 0 ? new Set(list) : null;
+};
+
+// Build a subscription filter from "a,b" strings or arrays
+// Returns { filter } or { error }
+export const parseSubscription = ({ deviceId, types } = {}) => {
+  const filter = { deviceIds: parseList(deviceId), types: parseList(types) };
+
+  if (filter.types) {
+    const unknown = [...filter.types].filter(
+      (type) => !STREAM_EVENT_TYPES.includes(type)
+    );
+    if (unknown.length > 0) {
+      return {
+        error: `Invalid event type. Use: ${STREAM_EVENT_TYPES.join(", ")}`,
+      };
+    }
+  }
+  return { filter };
+};
+
+export const matchesSubscription = (filter, event) =>
+  (!filter.deviceIds || filter.deviceIds.has(event.deviceId)) &&
+  (!filter.types || filter.types.has(event.type));
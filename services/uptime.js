@@ -0,0 +1,159 @@
+import { ConnectivitySession, DeviceConnection } from "../db/models.js";
+import { formatZonedDate, startOfZonedDay } from "../utils/time.js";
+import { isDeviceConnected } from "./deviceState.js";
+
+// Longest range an uptime report covers
+export const MAX_UPTIME_DAYS = 366;
+
+const HOUR = 60 * 60 * 1000;
+
+const percent = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 10000) / 100 : null;
+
+// Time the intervals spend inside [from, to)
+const overlap = (intervals, from, to) =>
+  intervals.reduce(
+    (sum, interval) =>
+      sum +
+      Math.max(0, Math.min(interval.end, to) - Math.max(interval.start, from)),
+    0
+  );
+
+// Online intervals of a device within [from, to), sorted and merged.
+// A session still open ends now if the device is connected, otherwise at
+// its last contact (the watchdog hasn't closed it yet)
+const loadOnlineIntervals = async (deviceId, from, to, connection, now) => {
+  const openUntil = isDeviceConnected(connection, now)
+    ? now
+    : connection.lastContactAt || from;
+
+  const sessions = await ConnectivitySession.find({
+    deviceId,
+    start: { $lt: to },
+    $or: [{ end: null }, { end: { $gt: from } }],
+  })
+    .sort({ start: 1 })
+    .lean();
+
+  const intervals = [];
+  sessions.forEach((session) => {
+    const start = Math.max(session.start.getTime(), from.getTime());
+    const end = Math.min((session.end || openUntil).getTime(), to.getTime());
+    if (end <= start) return;
+
+    const last = intervals[intervals.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      intervals.push({ start, end });
+    }
+  });
+  return intervals;
+};
+
+// Gaps between online intervals within [from, to)
+const findOutages = (intervals, from, to) => {
+  const outages = [];
+  let cursor = from.getTime();
+  intervals.forEach(({ start, end }) => {
+    if (start > cursor) outages.push({ start: cursor, end: start });
+    cursor = end;
+  });
+  if (cursor < to.getTime()) outages.push({ start: cursor, end: to.getTime() });
+  return outages;
+};
+
+const describeOutage = (outage, ongoing) =>
+  outage
+    ? {
+        start: new Date(outage.start),
+        end: ongoing ? null : new Date(outage.end),
+        durationMs: outage.end - outage.start,
+        ongoing,
+      }
+    : null;
+
+// ✅ Availability of a device between start and end, from its connectivity
+// sessions: the share of time online per local day (in `timezone`), the
+// outages each day and the longest outage overall.
+// Only time since the device's first session (and before now) counts;
+// days with none of it have onlinePercent null
+export const buildUptimeReport = async (
+  deviceId,
+  { start, end, timezone },
+  now = new Date()
+) => {
+  const first = await ConnectivitySession.findOne({ deviceId })
+    .sort({ start: 1 })
+    .lean();
+  const connection =
+    (await DeviceConnection.findOne({ deviceId }).lean()) || {};
+
+  const from = new Date(
+    Math.max(start.getTime(), first ? first.start.getTime() : end.getTime())
+  );
+  const to = new Date(Math.min(end.getTime(), now.getTime()));
+  const tracked = first && from < to;
+
+  const intervals = tracked
+    ? await loadOnlineIntervals(deviceId, from, to, connection, now)
+    : [];
+  const outages = tracked ? findOutages(intervals, from, to) : [];
+
+  // An outage reaching now while the device is offline hasn't ended yet
+  const isOngoing = (outage) =>
+    outage.end === now.getTime() && !isDeviceConnected(connection, now);
+
+  const days = [];
+  let dayStart = startOfZonedDay(start, timezone);
+  while (dayStart < end) {
+    // Days are 23 to 25 hours long; 36 hours on is always the next day
+    const nextDay = startOfZonedDay(
+      new Date(dayStart.getTime() + 36 * HOUR),
+      timezone
+    );
+    const dayFrom = Math.max(dayStart.getTime(), from.getTime());
+    const dayTo = Math.min(nextDay.getTime(), to.getTime());
+    const dayOutages = outages.filter(
+      (outage) =>
+        outage.start >= dayStart.getTime() && outage.start < nextDay.getTime()
+    );
+
+    days.push({
+      date: formatZonedDate(dayStart, timezone),
+      onlinePercent:
+        tracked && dayTo > dayFrom
+          ? percent(overlap(intervals, dayFrom, dayTo), dayTo - dayFrom)
+          : null,
+      outages: dayOutages.length,
+      longestOutageMs: Math.max(
+        0,
+        ...dayOutages.map((outage) => outage.end - outage.start)
+      ),
+    });
+    dayStart = nextDay;
+  }
+
+  const longest = outages.reduce(
+    (max, outage) =>
+      !max || outage.end - outage.start > max.end - max.start ? outage : max,
+    null
+  );
+
+  return {
+    deviceId,
+    timezone,
+    start,
+    end,
+    trackedFrom: first ? first.start : null,
+    availability: tracked
+      ? percent(overlap(intervals, from.getTime(), to.getTime()), to - from)
+      : null,
+    outageCount: outages.length,
+    longestOutage: describeOutage(
+      longest,
+      longest ? isOngoing(longest) : false
+    ),
+    days,
+  };
+};
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+import { mock } from "node:test";
+
+// What each model query resolves to while the database is stubbed: as if
+// every collection were empty
+const EMPTY_RESULTS = {
+  find: () => [],
+  findOne: () => null,
+  findById: () => null,
+  findOneAndUpdate: () => null,
+  findByIdAndUpdate: () => null,
+  findOneAndDelete: () => null,
+  findByIdAndDelete: () => null,
+  updateOne: () => ({ acknowledged: true, matchedCount: 0, modifiedCount: 0 }),
+  updateMany: () => ({ acknowledged: true, matchedCount: 0, modifiedCount: 0 }),
+  deleteOne: () => ({ acknowledged: true, deletedCount: 0 }),
+  deleteMany: () => ({ acknowledged: true, deletedCount: 0 }),
+  countDocuments: () => 0,
+  distinct: () => [],
+  exists: () => null,
+  aggregate: () => [],
+  insertMany: (docs) => docs,
+  bulkWrite: () => ({}),
+};
+
+// A query that resolves to `value` however it's chained, e.g.
+// .sort().limit().lean()
+export const fakeQuery = (value) => {
+  const query = new Proxy(
+    {},
+    {
+      get: (target, prop) => {
+        if (prop === "then") {
+          return (resolve, reject) =>
+            Promise.resolve(value).then(resolve, reject);
+        }
+        if (prop === "exec") return () => Promise.resolve(value);
+        return () => query;
+      },
+    }
+  );
+  return query;
+};
+
+// ✅ Run models without MongoDB (there's none in the test environment):
+// queries on every model find nothing, and saved documents are collected
+// in `saved` by model name. Override a model's query with
+// mock.method(Model, "findOne", () => fakeQuery(doc)).
+// Undo with mock.restoreAll()
+export const stubDatabase = () => {
+  const saved = {};
+  const save = async function () {
+    const name = this.constructor.modelName;
+    (saved[name] = saved[name] || []).push(this);
+    return this;
+  };
+
+  mock.method(mongoose.Model.prototype, "save", save);
+  Object.entries(EMPTY_RESULTS).forEach(([method, result]) => {
+    mock.method(mongoose.Model, method, (...args) =>
+      fakeQuery(result(...args))
+    );
+  });
+  mock.method(mongoose.Model, "create", async function (doc) {
+    return save.call(new this(doc));
+  });
+
+  return { saved };
+};
@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import net from "node:net";
+import { after, before, describe, mock, test } from "node:test";
+import { Aedes } from "aedes";
+import mqtt from "mqtt";
+import { Command } from "../db/models.js";
+import { deviceEvents } from "../services/deviceState.js";
+import { startMqttBridge } from "../transports/mqtt.js";
+import { fakeQuery, stubDatabase } from "./helpers/db.js";
+
+const DEVICE = "greenhouse";
+
+// Resolve once check() returns something truthy
+const waitFor = async (check, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error("Timed out waiting");
+};
+
+describe("MQTT bridge", () => {
+  let broker;
+  let server;
+  let bridge;
+  let device;
+  let saved;
+  const received = [];
+
+  const publish = (channel, payload) =>
+    device.publishAsync(
+      `enviromoon/${DEVICE}/${channel}`,
+      typeof payload === "string" ? payload : JSON.stringify(payload),
+      { qos: 1 }
+    );
+
+  const nextMessage = (channel) =>
+    waitFor(() => {
+      const index = received.findIndex(
+        (message) => message.topic === `enviromoon/${DEVICE}/${channel}`
+      );
+      return index === -1 ? null : received.splice(index, 1)[0].payload;
+    });
+
+  before(async () => {
+    ({ saved } = stubDatabase());
+    mock.method(console, "log", () => {});
+
+    broker = await Aedes.createBroker();
+    server = net.createServer(broker.handle);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `mqtt://127.0.0.1:${server.address().port}`;
+
+    bridge = startMqttBridge({ url });
+    await new Promise((resolve) => bridge.once("connect", resolve));
+    // The bridge subscribes right after connecting
+    await waitFor(() => broker.connectedClients === 1);
+
+    device = await mqtt.connectAsync(url);
+    device.on("message", (topic, message) => {
+      received.push({ topic, payload: JSON.parse(message.toString()) });
+    });
+    await device.subscribeAsync([
+      `enviromoon/${DEVICE}/cmd`,
+      `enviromoon/${DEVICE}/error`,
+    ]);
+  });
+
+  after(async () => {
+    await device.endAsync();
+    await bridge.endAsync();
+    await new Promise((resolve) => broker.close(resolve));
+    server.close();
+    mock.restoreAll();
+  });
+
+  test("stores readings published to /data", async () => {
+    await publish("data", { temperature: 21.5, humidity: 40, ldr: 812 });
+
+    const [reading] = await waitFor(() => saved.SensorData);
+    assert.equal(reading.deviceId, DEVICE);
+    assert.equal(reading.temperature, 21.5);
+    assert.equal(reading.ldr, 812);
+  });
+
+  test("stores status published to /status", async () => {
+    await publish("status", { uptime: 120, firmwareVersion: "2.1.0" });
+
+    const [status] = await waitFor(() => saved.DeviceStatus);
+    assert.equal(status.deviceId, DEVICE);
+    assert.equal(status.uptime, 120);
+  });
+
+  test("raises alerts published to /alerts", async () => {
+    await publish("alerts", { message: "Door open", severity: "warning" });
+
+    const [alert] = await waitFor(() => saved.Alert);
+    assert.equal(alert.deviceId, DEVICE);
+    assert.equal(alert.message, "Door open");
+    assert.equal(alert.source, "device");
+  });
+
+  test("answers rejected payloads on /error", async () => {
+    await publish("data", { temperature: 500, humidity: 40, ldr: 812 });
+
+    const error = await nextMessage("error");
+    assert.equal(error.topic, `enviromoon/${DEVICE}/data`);
+    assert.ok(error.error);
+    assert.equal(error.details[0].field, "temperature");
+  });
+
+  test("answers payloads that aren't JSON on /error", async () => {
+    await publish("status", "not json");
+
+    const error = await nextMessage("error");
+    assert.equal(error.topic, `enviromoon/${DEVICE}/status`);
+  });
+
+  test("publishes queued commands on /cmd and records the /ack", async () => {
+    const command = new Command({
+      deviceId: DEVICE,
+      command: "READ",
+      expiresAt: new Date(Date.now() + 60000),
+    });
+    let queued = [command];
+    mock.method(Command, "findOneAndUpdate", () => {
+      const next = queued.shift() || null;
+      if (next) next.status = "delivered";
+      return fakeQuery(next);
+    });
+    mock.method(Command, "findOne", () => fakeQuery(command));
+
+    deviceEvents.emit("command", DEVICE);
+    const published = await nextMessage("cmd");
+    assert.deepEqual(published, {
+      command: "READ",
+      commandId: String(command._id),
+    });
+
+    await publish("ack", {
+      commandId: published.commandId,
+      success: true,
+      result: "Reading sent",
+    });
+    await waitFor(() => command.status === "acknowledged");
+    assert.equal(command.result, "Reading sent");
+    assert.ok(saved.Command.includes(command));
+  });
+
+  test("answers acks for unknown commands on /error", async () => {
+    mock.method(Command, "findOne", () => fakeQuery(null));
+    await publish("ack", { commandId: "665f1c2e8b3a4d0012345678" });
+
+    const error = await nextMessage("error");
+    assert.equal(error.error, "Command not found");
+  });
+
+  test("answers acks without a valid commandId on /error", async () => {
+    await publish("ack", { commandId: "nope" });
+
+    const error = await nextMessage("error");
+    assert.equal(error.error, "Invalid commandId");
+  });
+});
@@ -0,0 +1,195 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import http from "node:http";
+import { after, afterEach, before, describe, mock, test } from "node:test";
+import { SMTPServer } from "smtp-server";
+import {
+  buildAlertPayload,
+  deliverToChannel,
+} from "../services/notifications.js";
+import { stubDatabase } from "./helpers/db.js";
+
+const alert = {
+  _id: "665f1c2e8b3a4d0012345678",
+  deviceId: "greenhouse",
+  message: "Temperature above 30°C",
+  severity: "critical",
+  source: "rule",
+  state: "open",
+  timestamp: new Date("2026-01-01T12:00:00Z"),
+};
+
+const listen = (server) =>
+  new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+describe("webhook notifications", () => {
+  let server;
+  let url;
+  let requests = [];
+  let statuses = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() || 200;
+        res.end();
+      });
+    });
+    await listen(server);
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.VERCEL;
+    requests = [];
+    statuses = [];
+  });
+
+  after(() => server.close());
+
+  test("signs the body with the channel secret", async () => {
+    const { saved } = stubDatabase();
+    const channel = {
+      _id: "c1",
+      name: "Ops",
+      type: "webhook",
+      config: { url, secret: "s3cret", headers: { "X-Team": "ops" } },
+    };
+
+    const delivery = await deliverToChannel(channel, buildAlertPayload(alert));
+
+    assert.equal(delivery.status, "success");
+    assert.equal(delivery.attempts, 1);
+    assert.equal(saved.NotificationDelivery.length, 1);
+
+    const [{ headers, body }] = requests;
+    const expected = crypto
+      .createHmac("sha256", "s3cret")
+      .update(body)
+      .digest("hex");
+    assert.equal(headers["x-enviromoon-signature"], `sha256=${expected}`);
+    assert.equal(headers["x-team"], "ops");
+    assert.equal(JSON.parse(body).event, "alert.created");
+    assert.equal(JSON.parse(body).alert.message, alert.message);
+  });
+
+  test("sends no signature without a secret", async () => {
+    stubDatabase();
+    await deliverToChannel(
+      { _id: "c1", name: "Ops", type: "webhook", config: { url } },
+      buildAlertPayload(alert)
+    );
+
+    assert.equal(requests[0].headers["x-enviromoon-signature"], undefined);
+  });
+
+  test("retries a failing webhook until it succeeds", async () => {
+    stubDatabase();
+    statuses = [500, 503];
+
+    const delivery = await deliverToChannel(
+      { _id: "c1", name: "Ops", type: "webhook", config: { url } },
+      buildAlertPayload(alert)
+    );
+
+    assert.equal(requests.length, 3);
+    assert.equal(delivery.status, "success");
+    assert.equal(delivery.attempts, 3);
+  });
+
+  test("logs a failed delivery after the last attempt", async () => {
+    const { saved } = stubDatabase();
+    statuses = [500, 500, 500];
+
+    const delivery = await deliverToChannel(
+      { _id: "c1", name: "Ops", type: "webhook", config: { url } },
+      buildAlertPayload(alert)
+    );
+
+    assert.equal(requests.length, 3);
+    assert.equal(delivery.status, "failed");
+    assert.equal(delivery.error, "Webhook responded with 500");
+    assert.equal(saved.NotificationDelivery[0], delivery);
+  });
+
+  test("makes a single attempt on Vercel", async () => {
+    stubDatabase();
+    process.env.VERCEL = "1";
+    statuses = [500];
+
+    const delivery = await deliverToChannel(
+      { _id: "c1", name: "Ops", type: "webhook", config: { url } },
+      buildAlertPayload(alert)
+    );
+
+    assert.equal(requests.length, 1);
+    assert.equal(delivery.status, "failed");
+    assert.equal(delivery.attempts, 1);
+  });
+});
+
+describe("email notifications", () => {
+  let server;
+  const messages = [];
+
+  before(async () => {
+    server = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ["STARTTLS"],
+      logger: false,
+      onData: (stream, session, callback) => {
+        let raw = "";
+        stream.on("data", (chunk) => (raw += chunk));
+        stream.on("end", () => {
+          messages.push({
+            from: session.envelope.mailFrom.address,
+            to: session.envelope.rcptTo.map((rcpt) => rcpt.address),
+            raw,
+          });
+          callback();
+        });
+      },
+    });
+    await listen(server);
+
+    process.env.SMTP_HOST = "127.0.0.1";
+    process.env.SMTP_PORT = String(server.server.address().port);
+    process.env.SMTP_FROM = "enviromoon@example.com";
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+  });
+
+  test("delivers the alert to every recipient", async () => {
+    const { saved } = stubDatabase();
+
+    const delivery = await deliverToChannel(
+      {
+        _id: "c2",
+        name: "On call",
+        type: "email",
+        config: { to: ["a@example.com", "b@example.com"] },
+      },
+      buildAlertPayload({ ...alert, message: "Greenhouse too hot" })
+    );
+
+    assert.equal(delivery.status, "success");
+    assert.equal(saved.NotificationDelivery.length, 1);
+    assert.equal(messages.length, 1);
+
+    const [message] = messages;
+    assert.equal(message.from, "enviromoon@example.com");
+    assert.deepEqual(message.to, ["a@example.com", "b@example.com"]);
+    assert.match(
+      message.raw,
+      /Subject: \[Enviromoon\] CRITICAL: Greenhouse too hot/
+    );
+    assert.match(message.raw, /Device: greenhouse/);
+  });
+});
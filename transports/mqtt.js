@@ -0,0 +1,225 @@
+import mongoose from "mongoose";
+import mqtt from "mqtt";
+import { Command } from "../db/models.js";
+import {
+  acknowledgeCommand,
+  requeueCommand,
+  takeCommand,
+} from "../services/commands.js";
+import { deviceEvents } from "../services/deviceState.js";
+import { isValidDeviceId } from "../services/devices.js";
+import {
+  ACK_SCHEMA,
+  ingestAlert,
+  ingestBatch,
+  ingestReading,
+  ingestStatus,
+  parsePayload,
+} from "../services/ingest.js";
+import { httpError } from "../utils/errors.js";
+
+// Topics published by devices, mapped to the same handlers the HTTP
+// endpoints use: <prefix>/<deviceId>/data, /batch, /status and /alerts
+const INGEST_HANDLERS = {
+  data: ingestReading,
+  batch: ingestBatch,
+  status: ingestStatus,
+  alerts: ingestAlert,
+};
+
+// Commands queued by other instances (e.g. the API on Vercel) don't raise
+// an event here, so the queue is checked this often for MQTT devices
+const COMMAND_POLL_INTERVAL = 5000;
+
+// Split "<prefix>/<deviceId>/<channel>" or return null
+export const parseTopic = (prefix, topic) => {
+  const parts = topic.split("/");
+  if (parts.length !== 3 || parts[0] !== prefix) {
+    return null;
+  }
+  return { deviceId: parts[1], channel: parts[2] };
+};
+
+// ✅ Bridge MQTT devices into the same storage as the HTTP endpoints.
+// Devices publish JSON to <prefix>/<deviceId>/data, /batch, /status and
+// /alerts, receive { command, commandId } on <prefix>/<deviceId>/cmd when
+// a command is queued (straight away if queued by this process, otherwise
+// on the next queue check or message from the device), and report results
+// to <prefix>/<deviceId>/ack as { commandId, success, result }. Rejected
+// payloads are answered on <prefix>/<deviceId>/error. Device identity
+// comes from the topic, so restrict who may publish where with the
+// broker's ACLs
+export const startMqttBridge = ({
+  url,
+  prefix = "enviromoon",
+  username,
+  password,
+}) => {
+  const client = mqtt.connect(url, {
+    username,
+    password,
+    reconnectPeriod: 5000,
+  });
+
+  // Devices heard from on MQTT since this process started; their commands
+  // are pushed
+  const mqttDevices = new Set();
+  const publishing = new Set();
+  const publishAgain = new Set();
+
+  const publishJson = (topic, payload) =>
+    client.publishAsync(topic, JSON.stringify(payload), { qos: 1 });
+
+  // Publish every queued command for a device, oldest first
+  const publishPendingCommands = async (deviceId) => {
+    if (publishing.has(deviceId)) {
+      publishAgain.add(deviceId);
+      return;
+    }
+
+    publishing.add(deviceId);
+    try {
+      do {
+        publishAgain.delete(deviceId);
+        let command;
+        while ((command = await takeCommand(deviceId))) {
+          try {
+            await publishJson(`${prefix}/${deviceId}/cmd`, {
+              command: command.command,
+              commandId: command._id,
+            });
+          } catch (err) {
+            // The device never got it; queue it again for the next attempt
+            await requeueCommand(deviceId, command._id);
+            throw err;
+          }
+          console.log(
+            `📤 Sending command to ${deviceId} over MQTT:`,
+            command.command
+          );
+        }
+      } while (publishAgain.has(deviceId));
+    } catch (err) {
+      console.error(`❌ Error publishing commands to ${deviceId}:`, err);
+    } finally {
+      publishing.delete(deviceId);
+    }
+  };
+
+  const handleAck = async (deviceId, payload) => {
+    const commandId = payload && payload.commandId;
+    if (!mongoose.isValidObjectId(commandId)) {
+      throw httpError(400, "Invalid commandId");
+    }
+    const { success, result } = await parsePayload(
+      deviceId,
+      "ack",
+      ACK_SCHEMA,
+      payload,
+      { allowEmpty: true }
+    );
+
+    const command = await acknowledgeCommand(deviceId, commandId, {
+      success: success !== false,
+      result,
+    });
+    if (!command) {
+      throw httpError(404, "Command not found");
+    }
+    console.log(
+      `📬 Command ${command.command} ${command.status} by ${deviceId}:`,
+      command.result || ""
+    );
+  };
+
+  client.on("connect", () => {
+    console.log(`🔌 MQTT bridge connected to ${url}`);
+    client.subscribe(
+      ["data", "batch", "status", "alerts", "ack"].map(
+        (channel) => `${prefix}/+/${channel}`
+      ),
+      { qos: 1 },
+      (err) => {
+        if (err) console.error("❌ Error subscribing to MQTT topics:", err);
+      }
+    );
+  });
+
+  client.on("message", async (topic, message) => {
+    const parsed = parseTopic(prefix, topic);
+    if (!parsed || !isValidDeviceId(parsed.deviceId)) {
+      return;
+    }
+
+    const { deviceId, channel } = parsed;
+    if (channel !== "ack" && !INGEST_HANDLERS[channel]) {
+      return;
+    }
+
+    try {
+      // Non-JSON payloads are rejected (and counted) by the schema check
+      let payload = null;
+      try {
+        payload = JSON.parse(message.toString());
+      } catch (err) {}
+
+      if (channel === "ack") {
+        await handleAck(deviceId, payload);
+      } else {
+        await INGEST_HANDLERS[channel](deviceId, payload);
+      }
+
+      // The device is listening: deliver anything queued meanwhile
+      mqttDevices.add(deviceId);
+      publishPendingCommands(deviceId);
+    } catch (err) {
+      if (!err.status) {
+        console.error(
+          `❌ Error handling MQTT ${channel} from ${deviceId}:`,
+          err
+        );
+        return;
+      }
+
+      console.log(
+        `⚠️ Rejected MQTT ${channel} from ${deviceId}: ${err.message}`
+      );
+      publishJson(`${prefix}/${deviceId}/error`, {
+        topic,
+        error: err.message,
+        details: err.details,
+      }).catch((publishErr) =>
+        console.error("❌ Error publishing MQTT error:", publishErr)
+      );
+    }
+  });
+
+  client.on("error", (err) => {
+    console.error("❌ MQTT bridge error:", err.message);
+  });
+  client.on("offline", () => {
+    console.log("⚠️ MQTT bridge offline, reconnecting...");
+  });
+
+  deviceEvents.on("command", (deviceId) => {
+    if (mqttDevices.has(deviceId)) publishPendingCommands(deviceId);
+  });
+
+  // Pick up commands queued through other instances
+  const queueCheck = setInterval(async () => {
+    if (mqttDevices.size === 0 || !client.connected) return;
+    try {
+      const deviceIds = await Command.distinct("deviceId", {
+        deviceId: { $in: [...mqttDevices] },
+        status: "queued",
+        expiresAt: { $gt: new Date() },
+      });
+      deviceIds.forEach(publishPendingCommands);
+    } catch (err) {
+      console.error("❌ Error checking MQTT command queue:", err);
+    }
+  }, COMMAND_POLL_INTERVAL);
+  client.on("end", () => clearInterval(queueCheck));
+
+  return client;
+};
@@ -0,0 +1,289 @@
+import { ReadlineParser } from "@serialport/parser-readline";
+import { SerialPort } from "serialport";
+import { BASE_FIRMWARE_VERSION } from "../services/commandCatalog.js";
+import {
+  acknowledgeCommand,
+  requeueCommand,
+  takeCommand,
+} from "../services/commands.js";
+import { deviceEvents } from "../services/deviceState.js";
+import { DEFAULT_DEVICE_ID } from "../services/devices.js";
+import { ingestReading, ingestStatus } from "../services/ingest.js";
+
+const RECONNECT_DELAY = 5000; // Retry opening the port every 5 seconds
+
+// Opening the port resets the board; commands wait for the sketch's
+// startup banner, or this long if it never prints one
+const STARTUP_TIMEOUT = 5000;
+
+// Commands that print nothing (e.g. READ with both sensors off) stop
+// holding up the queue after this long
+const REPLY_TIMEOUT = 10000;
+
+// A failed DHT read prints "nan"; it's passed on as null so the reading
+// is flagged (see services/quality.js)
+const parseNumber = (value) => {
+  if (/^[-+]?nan$/i.test(value)) return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Parse a reading line printed by Enviromoon.ino, e.g.
+// "Temperature: 23.10 °C, Humidity: 45.00 %, LDR Output: 512"
+// Either half is left out by the sketch when that sensor is switched off
+export const parseReadingLine = (line) => {
+  const temperatureMatch = line.match(/Temperature:\s*(\S+)\s*°?C/i);
+  const humidityMatch = line.match(/Humidity:\s*(\S+)\s*%/i);
+  const ldrMatch = line.match(/LDR Output:\s*(\d+)/i);
+
+  if (!temperatureMatch && !humidityMatch && !ldrMatch) {
+    return null;
+  }
+
+  const reading = {};
+  if (temperatureMatch) reading.temperature = parseNumber(temperatureMatch[1]);
+  if (humidityMatch) reading.humidity = parseNumber(humidityMatch[1]);
+  if (ldrMatch) reading.ldr = parseInt(ldrMatch[1]);
+
+  // Drop fields that failed to parse
+  Object.keys(reading).forEach((key) => {
+    if (reading[key] === undefined) delete reading[key];
+  });
+
+  return Object.keys(reading).length > 0 ? reading : null;
+};
+
+// Parse one line of the multi-line STATUS reply:
+//   Current interval: 10000
+//   Temp/Humidity Reading: ON
+//   Light Reading: OFF
+export const parseStatusLine = (line) => {
+  let match = line.match(/^Current interval:\s*(\d+)/i);
+  if (match) return { samplingInterval: parseInt(match[1]) };
+
+  match = line.match(/^Temp\/Humidity Reading:\s*(ON|OFF)/i);
+  if (match) return { tempHumidityEnabled: match[1].toUpperCase() === "ON" };
+
+  match = line.match(/^Light Reading:\s*(ON|OFF)/i);
+  if (match) return { lightEnabled: match[1].toUpperCase() === "ON" };
+
+  return null;
+};
+
+// Lines the sketch prints when it applies a sensor switch command
+const SENSOR_REPLIES = {
+  "TEMP:ON": "Temperature/Humidity readings ENABLED.",
+  "TEMP:OFF": "Temperature/Humidity readings DISABLED.",
+  "LIGHT:ON": "LDR (Light) readings ENABLED.",
+  "LIGHT:OFF": "LDR (Light) readings DISABLED.",
+};
+
+// Whether a line is the sketch's reply to a command (READ and STATUS are
+// answered with readings and status lines instead). Other lines, such as
+// "Failed to read from DHT sensor!", aren't results
+export const isCommandReply = (command, line) => {
+  const upper = command.toUpperCase();
+  if (upper.startsWith("INTERVAL:")) {
+    return /^Interval updated to:\s*\d+$/i.test(line);
+  }
+  return SENSOR_REPLIES[upper] === line;
+};
+
+// ✅ Bridge a board running Enviromoon.ino over USB serial into the same
+// storage the HTTP endpoints use, and forward queued commands to it
+export const startSerialBridge = ({
+  path,
+  baudRate = 9600,
+  deviceId = DEFAULT_DEVICE_ID,
+}) => {
+  const port = new SerialPort({ path, baudRate, autoOpen: false });
+  const parser = port.pipe(new ReadlineParser({ delimiter: "\n" }));
+
+  // STATUS replies span several lines; collect them until the last one
+  let pendingStatus = null;
+
+  // Whether the sketch has started since the port was opened
+  let ready = false;
+  let startupTimer = null;
+
+  // The sketch answers a command before taking its next reading; its
+  // reply (see isCommandReply) is recorded as that command's result
+  let awaitingReply = null;
+  let replyTimer = null;
+  let sending = false;
+  let checkQueueAgain = false;
+
+  // Stop waiting for the current command's reply
+  const clearReply = () => {
+    const command = awaitingReply;
+    awaitingReply = null;
+    clearTimeout(replyTimer);
+    checkQueueAgain = true; // More commands may be queued behind it
+    return command;
+  };
+
+  const acknowledgeReply = async (result) => {
+    const command = clearReply();
+    await acknowledgeCommand(deviceId, command._id, { result });
+  };
+
+  const sendNextIfIdle = () => {
+    if (!awaitingReply && checkQueueAgain) {
+      checkQueueAgain = false;
+      sendPendingCommand();
+    }
+  };
+
+  const sendPendingCommand = async () => {
+    if (!port.isOpen || !ready) return;
+    if (sending || awaitingReply) {
+      checkQueueAgain = true;
+      return;
+    }
+
+    sending = true;
+    try {
+      const command = await takeCommand(deviceId);
+      if (command) {
+        awaitingReply = command;
+        replyTimer = setTimeout(() => {
+          if (awaitingReply !== command) return;
+          console.log("⚠️ No serial reply to command:", command.command);
+          clearReply();
+          sendNextIfIdle();
+        }, REPLY_TIMEOUT);
+
+        port.write(`${command.command}\n`, (err) => {
+          if (!err) {
+            console.log("📤 Sending command over serial:", command.command);
+            return;
+          }
+
+          // The board never got it; queue it again for the next attempt
+          console.error("❌ Error writing command to serial port:", err);
+          if (awaitingReply === command) clearReply();
+          checkQueueAgain = false;
+          requeueCommand(deviceId, command._id).catch((requeueErr) =>
+            console.error("❌ Error requeueing serial command:", requeueErr)
+          );
+        });
+      }
+    } catch (err) {
+      console.error("❌ Error sending serial command:", err);
+    } finally {
+      sending = false;
+    }
+  };
+
+  const markReady = () => {
+    if (ready) return;
+    ready = true;
+    clearTimeout(startupTimer);
+    sendPendingCommand();
+  };
+
+  const handleLine = async (rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    // Last line of the startup banner: the sketch now takes commands
+    if (/^Commands:/i.test(line)) {
+      console.log("📟 Serial:", line);
+      markReady();
+      return;
+    }
+
+    try {
+      const statusField = parseStatusLine(line);
+      const reading = statusField ? null : parseReadingLine(line);
+
+      // A board that didn't reset on open prints no banner, but its
+      // readings show the sketch is running
+      if (statusField || reading) markReady();
+
+      if (statusField) {
+        if (statusField.samplingInterval !== undefined) {
+          pendingStatus = {};
+        }
+        pendingStatus = { ...pendingStatus, ...statusField };
+
+        // "Light Reading" is the last line the sketch prints for STATUS.
+        // The sketch has no version of its own; it's the base firmware
+        if (statusField.lightEnabled !== undefined) {
+          const status = pendingStatus;
+          pendingStatus = null;
+          await ingestStatus(deviceId, {
+            ...status,
+            firmwareVersion: BASE_FIRMWARE_VERSION,
+          });
+          if (
+            awaitingReply &&
+            awaitingReply.command.toUpperCase() === "STATUS"
+          ) {
+            await acknowledgeReply("Status reported");
+          }
+        }
+        return;
+      }
+
+      if (reading) {
+        await ingestReading(deviceId, reading, { partial: true });
+        if (awaitingReply) {
+          // READ is answered with a reading; anything else got no reply
+          if (awaitingReply.command.toUpperCase() === "READ") {
+            await acknowledgeReply(line);
+          } else {
+            clearReply();
+          }
+        }
+        return;
+      }
+
+      console.log("📟 Serial:", line);
+      if (awaitingReply && isCommandReply(awaitingReply.command, line)) {
+        await acknowledgeReply(line);
+      }
+    } catch (err) {
+      // Rejected payloads were already logged and counted
+      if (!err.status) console.error("❌ Error handling serial line:", err);
+    } finally {
+      sendNextIfIdle();
+    }
+  };
+
+  const open = () => {
+    port.open((err) => {
+      if (err) {
+        console.error(`❌ Could not open serial port ${path}:`, err.message);
+        setTimeout(open, RECONNECT_DELAY);
+        return;
+      }
+
+      console.log(
+        `🔌 Serial bridge for ${deviceId} connected on ${path} @ ${baudRate} baud`
+      );
+      ready = false;
+      startupTimer = setTimeout(markReady, STARTUP_TIMEOUT);
+    });
+  };
+
+  parser.on("data", handleLine);
+  port.on("error", (err) => {
+    console.error("❌ Serial port error:", err.message);
+  });
+  port.on("close", () => {
+    // A reply still awaited won't come; the board restarts on reconnect
+    ready = false;
+    clearTimeout(startupTimer);
+    if (awaitingReply) clearReply();
+    pendingStatus = null;
+    console.log("⚠️ Serial port closed, reconnecting...");
+    setTimeout(open, RECONNECT_DELAY);
+  });
+  deviceEvents.on("command", (commandDeviceId) => {
+    if (commandDeviceId === deviceId) sendPendingCommand();
+  });
+
+  open();
+  return port;
+};
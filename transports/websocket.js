@@ -0,0 +1,75 @@
+import { WebSocket, WebSocketServer } from "ws";
+import {
+  matchesSubscription,
+  parseSubscription,
+  subscribe,
+} from "../services/stream.js";
+
+const PING_INTERVAL = 30000; // Drop clients that stop answering pings
+
+// ✅ WebSocket version of /api/stream, attached to the HTTP server.
+// Filter with the same query params (ws://host/api/stream/ws?deviceId=a&types=alert)
+// or change the filter later by sending
+// { "subscribe": { "deviceId": "a,b", "types": ["reading"] } }
+export const attachWebSocketServer = (server, path = "/api/stream/ws") => {
+  const wss = new WebSocketServer({ server, path });
+
+  wss.on("connection", (socket, req) => {
+    const url = new URL(req.url, "http://localhost");
+    const { filter, error } = parseSubscription(
+      Object.fromEntries(url.searchParams)
+    );
+    if (error) {
+      socket.close(1008, error);
+      return;
+    }
+
+    let currentFilter = filter;
+    let isAlive = true;
+
+    const unsubscribe = subscribe((event) => {
+      if (
+        socket.readyState === WebSocket.OPEN &&
+        matchesSubscription(currentFilter, event)
+      ) {
+        socket.send(JSON.stringify(event));
+      }
+    });
+
+    socket.on("message", (message) => {
+      try {
+        const { subscribe: subscription } = JSON.parse(message);
+        const parsed = parseSubscription(subscription);
+        if (parsed.error) {
+          socket.send(JSON.stringify({ error: parsed.error }));
+          return;
+        }
+        currentFilter = parsed.filter;
+        socket.send(JSON.stringify({ subscribed: true }));
+      } catch (err) {
+        socket.send(JSON.stringify({ error: "Invalid message" }));
+      }
+    });
+
+    socket.on("pong", () => {
+      isAlive = true;
+    });
+    const ping = setInterval(() => {
+      if (!isAlive) {
+        socket.terminate();
+        return;
+      }
+      isAlive = false;
+      socket.ping();
+    }, PING_INTERVAL);
+
+    socket.on("close", () => {
+      clearInterval(ping);
+      unsubscribe();
+      console.log("📺 WebSocket client disconnected");
+    });
+    console.log("📺 WebSocket client connected");
+  });
+
+  return wss;
+};
@@ -0,0 +1,9 @@
+// Error carrying the HTTP status a route should answer with
+// (routes check err.status before falling back to a 500).
+// `details` is an optional list of per-field problems for the response
+export const httpError = (status, message, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
@@ -0,0 +1,101 @@
+// Minimal declarative validation for device payloads.
+// A schema maps field names to specs:
+//   { type: "number" | "integer" | "boolean" | "string",
+//     required, min, max, maxLength, enum }
+// Coercion: numbers and integers accept numeric strings ("21.5"),
+// booleans accept "true"/"false" and 1/0, strings must be strings.
+// Fields not in the schema are dropped
+
+const coerceNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+};
+
+const coerceBoolean = (value) => {
+  if (value === true || value === "true" || value === 1 || value === "1") {
+    return true;
+  }
+  if (value === false || value === "false" || value === 0 || value === "0") {
+    return false;
+  }
+  return undefined;
+};
+
+// Check one value against its spec; returns { value } or { message }
+const validateField = (spec, raw) => {
+  switch (spec.type) {
+    case "number":
+    case "integer": {
+      const value = coerceNumber(raw);
+      if (!Number.isFinite(value)) {
+        return { message: "must be a number" };
+      }
+      if (spec.type === "integer" && !Number.isInteger(value)) {
+        return { message: "must be a whole number" };
+      }
+      if (
+        (spec.min !== undefined && value < spec.min) ||
+        (spec.max !== undefined && value > spec.max)
+      ) {
+        return { message: `must be between ${spec.min} and ${spec.max}` };
+      }
+      return { value };
+    }
+    case "boolean": {
+      const value = coerceBoolean(raw);
+      if (value === undefined) {
+        return { message: "must be true or false" };
+      }
+      return { value };
+    }
+    case "string": {
+      if (typeof raw !== "string") {
+        return { message: "must be a string" };
+      }
+      if (spec.maxLength !== undefined && raw.length > spec.maxLength) {
+        return { message: `must be at most ${spec.maxLength} characters` };
+      }
+      if (spec.enum && !spec.enum.includes(raw)) {
+        return { message: `must be one of: ${spec.enum.join(", ")}` };
+      }
+      return { value: raw };
+    }
+    default:
+      throw new Error(`Unknown schema type: ${spec.type}`);
+  }
+};
+
+// Validate and coerce a payload. With `partial`, required fields may be
+// missing. Returns { value, errors } where errors is a list of
+// { field, message, value } (empty when the payload is valid)
+export const validatePayload = (schema, payload, { partial = false } = {}) => {
+  const value = {};
+  const errors = [];
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return {
+      value,
+      errors: [{ field: null, message: "payload must be a JSON object" }],
+    };
+  }
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    const raw = payload[field];
+    if (raw === undefined || raw === null || raw === "") {
+      if (spec.required && !partial) {
+        errors.push({ field, message: "is required" });
+      }
+      return;
+    }
+
+    const result = validateField(spec, raw);
+    if (result.message) {
+      errors.push({ field, message: result.message, value: raw });
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  return { value, errors };
+};
@@ -0,0 +1,146 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Named periods and their long forms, e.g. "5m" / "5minutes"
+const NAMED_PERIODS = {
+  "1m": MINUTE,
+  "1minute": MINUTE,
+  "5m": 5 * MINUTE,
+  "5minutes": 5 * MINUTE,
+  "15m": 15 * MINUTE,
+  "15minutes": 15 * MINUTE,
+  "30m": 30 * MINUTE,
+  "30minutes": 30 * MINUTE,
+  "1h": HOUR,
+  "1hour": HOUR,
+  "6h": 6 * HOUR,
+  "6hours": 6 * HOUR,
+  "1d": DAY,
+  "1day": DAY,
+  "1w": 7 * DAY,
+  "1week": 7 * DAY,
+};
+
+const UNIT_MS = { m: MINUTE, h: HOUR, d: DAY };
+
+// Length of a period like "1w" or a custom "10m", "12h", "3d" in
+// milliseconds, or null if it isn't valid
+export const parsePeriod = (period) => {
+  if (NAMED_PERIODS[period]) {
+    return NAMED_PERIODS[period];
+  }
+
+  const match = typeof period === "string" && period.match(/^(\d+)([mhd])$/);
+  if (!match || parseInt(match[1]) === 0) {
+    return null;
+  }
+  return parseInt(match[1]) * UNIT_MS[match[2]];
+};
+
+// Rough length of a duration for messages, e.g. "45 min" or "3 h"
+export const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  return minutes >= 120 ? `${Math.round(minutes / 60)} h` : `${minutes} min`;
+};
+
+// Whether a string is an IANA timezone this runtime knows (e.g. "Asia/Dhaka")
+export const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Resolve a range from either a period ("1d", see parsePeriod) ending now,
+// or start and end dates. Returns { start, end } or { error }
+export const parseTimeRange = ({ period, start, end }) => {
+  if (period) {
+    const periodMs = parsePeriod(period);
+    if (!periodMs) {
+      return {
+        error:
+          "Invalid period. Use: 1m, 5m, 15m, 30m, 1h, 6h, 1d, 1w, or custom like 10m, 12h, 3d",
+      };
+    }
+    const endTime = new Date();
+    return { start: new Date(endTime.getTime() - periodMs), end: endTime };
+  }
+
+  if (start && end) {
+    const startTime = new Date(start);
+    const endTime = new Date(end);
+    if (isNaN(startTime) || isNaN(endTime) || startTime > endTime) {
+      return { error: "Invalid start or end date" };
+    }
+    return { start: startTime, end: endTime };
+  }
+
+  return { error: "Either period or start and end is required" };
+};
+
+// Wall-clock date and time of an instant in a timezone, as numbers
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== "literal") parts[type] = parseInt(value);
+    });
+  return parts;
+};
+
+// Same wall-clock time expressed as if it were UTC; handy for spreadsheet
+// cells, which have no timezone
+export const toWallClockDate = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(
+    date,
+    timeZone
+  );
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+// ISO 8601 timestamp in a timezone, e.g. "2025-01-01T11:00:00+01:00"
+export const formatTimestamp = (date, timeZone) => {
+  const wallClock = toWallClockDate(date, timeZone);
+  const offset = Math.round(
+    (wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000
+  );
+  const pad = (n) => String(n).padStart(2, "0");
+  const sign = offset < 0 ? "-" : "+";
+  return (
+    wallClock.toISOString().slice(0, 19) +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(
+      Math.abs(offset) % 60
+    )}`
+  );
+};
+
+// Start of the local day containing `date` in a timezone, as an instant
+export const startOfZonedDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const midnight = Date.UTC(year, month - 1, day);
+
+  // Offset at a first guess, then at the guess itself in case a DST
+  // change falls in between
+  const offsetAt = (instant) =>
+    toWallClockDate(instant, timeZone) -
+    Math.floor(instant.getTime() / 1000) * 1000;
+  const guess = new Date(midnight - offsetAt(date));
+  return new Date(midnight - offsetAt(guess));
+};
+
+// Local calendar date of an instant, e.g. "2025-01-31"
+export const formatZonedDate = (date, timeZone) =>
+  toWallClockDate(date, timeZone).toISOString().slice(0, 10);
@@ -0,0 +1,100 @@
+// Unit conversion for readings returned by read endpoints.
+// Readings are stored in °C with the LDR as a raw ADC count (plus lux when
+// the device has a calibration curve); `units` query params select the
+// output units, e.g. "F", "lux" or "F,lux"
+
+export const TEMPERATURE_UNITS = ["C", "F"];
+export const LIGHT_UNITS = ["raw", "lux"];
+
+export const DEFAULT_UNITS = { temperature: "C", light: "raw" };
+
+// Fields holding a temperature, and a temperature difference
+const TEMPERATURE_FIELDS = ["temperature", "dewPoint", "heatIndex"];
+const TEMPERATURE_DIFFERENCE_FIELDS = ["dewPointSpread"];
+
+const round = (value, decimals = 2) =>
+  Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+export const convertTemperature = (celsius, unit) => {
+  if (celsius === undefined || celsius === null) return celsius;
+  return unit === "F" ? round((celsius * 9) / 5 + 32) : celsius;
+};
+
+const convertTemperatureDifference = (celsius, unit) => {
+  if (celsius === undefined || celsius === null) return celsius;
+  return unit === "F" ? round(celsius * 1.8) : celsius;
+};
+
+// Converter for a field's values, or null if the field has no unit choice
+const fieldConverter = (field, units) => {
+  if (TEMPERATURE_FIELDS.includes(field)) {
+    return (value) => convertTemperature(value, units.temperature);
+  }
+  if (TEMPERATURE_DIFFERENCE_FIELDS.includes(field)) {
+    return (value) => convertTemperatureDifference(value, units.temperature);
+  }
+  return null;
+};
+
+export const isDefaultUnits = (units) =>
+  units.temperature === DEFAULT_UNITS.temperature &&
+  units.light === DEFAULT_UNITS.light;
+
+// Parse a units param like "F", "lux" or "F,lux"
+// Returns { units } or { error }
+export const parseUnits = (value) => {
+  const units = { ...DEFAULT_UNITS };
+  if (!value) return { units };
+
+  for (const token of String(value).split(",")) {
+    const unit = token.trim().replace("°", "");
+    if (TEMPERATURE_UNITS.includes(unit.toUpperCase())) {
+      units.temperature = unit.toUpperCase();
+    } else if (LIGHT_UNITS.includes(unit.toLowerCase())) {
+      units.light = unit.toLowerCase();
+    } else {
+      return {
+        error: `Invalid units. Use: ${[
+          ...TEMPERATURE_UNITS,
+          ...LIGHT_UNITS,
+        ].join(", ")}`,
+      };
+    }
+  }
+  return { units };
+};
+
+// Convert a reading (plain object) to the requested units. With "lux",
+// `ldr` holds the calibrated lux value (null without a calibration curve)
+export const convertReading = (reading, units) => {
+  if (isDefaultUnits(units)) return reading;
+
+  const converted = { ...reading };
+  Object.keys(reading).forEach((field) => {
+    const convert = fieldConverter(field, units);
+    if (convert) converted[field] = convert(reading[field]);
+  });
+  if (units.light === "lux") {
+    converted.ldr = reading.lux === undefined ? null : reading.lux;
+  }
+  return converted;
+};
+
+// Same for an aggregate row whose metrics are { avg, min, max }
+export const convertSummary = (row, units) => {
+  if (isDefaultUnits(units)) return row;
+
+  const converted = { ...row };
+  Object.keys(row).forEach((field) => {
+    const convert = fieldConverter(field, units);
+    if (!convert || !row[field]) return;
+    converted[field] = {};
+    Object.entries(row[field]).forEach(([key, value]) => {
+      converted[field][key] = convert(value);
+    });
+  });
+  if (units.light === "lux") {
+    converted.ldr = row.lux;
+  }
+  return converted;
+};